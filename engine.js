@@ -0,0 +1,965 @@
+// --- Sort Engines ---
+// DOM-free algorithm logic behind every game, usable from the browser and from Node.
+// Each engine works on a plain, JSON-serialisable state object:
+//   create(array, options) -> initial state (options: order, convergence, dataType and per-game settings)
+//   expectedMove(state)    -> the move the real algorithm makes next, or null once sorted
+//   accepts(state, move)   -> whether a player's move is correct
+//   apply(state, move)     -> the next state (the given state is never mutated)
+//   isComplete(state)
+//   pass(state)            -> passes completed so far, as exam questions count them ("after pass 2")
+// state.stats counts the work done so far: comparisons, swaps and single-element moves
+// (shifts, copies, bucket drops). Each engine's cost(state, move) says what a move adds.
+// Moves flagged `auto: true` are carried out by the game itself rather than by the player.
+// Array items depend on the 'dataType' option (see comparators): numbers, words (strings),
+// playing cards { rank, suit } or records { name, score }. Numbers and words can also be
+// { value, tag } for equal values that must stay distinguishable (e.g. 5a and 5b when checking
+// stability); only the value is ever compared.
+(function (root) {
+    'use strict';
+
+    function keyOf(item) {
+        return typeof item === 'object' && 'value' in item ? item.value : item;
+    }
+
+    function compareValues(x, y) {
+        if (x < y) return -1;
+        return x > y ? 1 : 0;
+    }
+
+    // Records: the primary key chosen with the 'primaryKey' option, ties broken by the other one
+    function recordKeys(s) {
+        return s.primaryKey === 'name' ? ['name', 'score'] : ['score', 'name'];
+    }
+
+    // How each data type is ordered: < 0 when a comes first in ascending order, 0 for a tie.
+    // The engines only ever compare through precedes(), so a new data type just needs an entry here.
+    const comparators = {
+        number: (s, a, b) => compareValues(keyOf(a), keyOf(b)),
+        // Alphabetical (lower-case words)
+        word: (s, a, b) => compareValues(keyOf(a), keyOf(b)),
+        // Rank (2 ... 10, J = 11, Q, K, A = 14), then suit (0-3: ♣ ♦ ♥ ♠)
+        card: (s, a, b) => a.rank - b.rank || a.suit - b.suit,
+        record: (s, a, b) => {
+            for (const key of recordKeys(s)) {
+                const result = compareValues(a[key], b[key]);
+                if (result) return result;
+            }
+            return 0;
+        }
+    };
+
+    // Compares two items under the data type of `s` (a state, or anything with the same settings)
+    function compare(s, a, b) {
+        return comparators[s.dataType || 'number'](s, a, b);
+    }
+
+    // Returns true if 'a' should come before 'b' for the order ('asc' | 'desc') and data type of `s`
+    function precedes(s, a, b) {
+        const result = compare(s, a, b);
+        return s.order === 'asc' ? result < 0 : result > 0;
+    }
+
+    // Equal plain values are interchangeable; tagged values, cards and records only match the same item
+    function sameItem(a, b) {
+        if (typeof a !== 'object' || typeof b !== 'object') return a === b;
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+    }
+
+    function clone(state) {
+        return JSON.parse(JSON.stringify(state));
+    }
+
+    function swap(arr, x, y) {
+        [arr[x], arr[y]] = [arr[y], arr[x]];
+    }
+
+    function sameMove(a, b) {
+        if (!a || !b) return false;
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        keys.delete('auto');
+        return [...keys].every(k => a[k] === b[k]);
+    }
+
+    // Deterministic PRNG (mulberry32). Returns [value in [0, 1), next seed]
+    function random(seed) {
+        const next = (seed + 0x6D2B79F5) >>> 0;
+        let t = next;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return [((t ^ (t >>> 14)) >>> 0) / 4294967296, next];
+    }
+
+    function defineEngine(spec) {
+        const engine = {
+            create(array, options = {}) {
+                const state = {
+                    array: array.slice(),
+                    order: options.order || 'asc',
+                    convergence: options.convergence || 'right',
+                    dataType: options.dataType || 'number',
+                    stats: { comparisons: 0, swaps: 0, moves: 0 },
+                    done: false
+                };
+                if (state.dataType === 'record') state.primaryKey = options.primaryKey || 'score';
+                spec.create(state, options);
+                return state;
+            },
+
+            expectedMove(state) {
+                if (state.done) return null;
+                return spec.expectedMove(state);
+            },
+
+            accepts(state, move) {
+                if (state.done || !move) return false;
+                if (spec.accepts) return spec.accepts(state, move);
+                return sameMove(engine.expectedMove(state), move);
+            },
+
+            apply(state, move) {
+                if (!engine.accepts(state, move)) throw new Error(`Illegal move: ${JSON.stringify(move)}`);
+                const next = clone(state);
+                const cost = spec.cost(state, move);
+                Object.keys(next.stats).forEach(key => { next.stats[key] += cost[key] || 0; });
+                spec.apply(next, move);
+                return next;
+            },
+
+            isComplete(state) {
+                return state.done;
+            },
+
+            pass(state) {
+                return spec.pass(state);
+            }
+        };
+        return Object.assign(engine, spec.helpers || {});
+    }
+
+    // Plays the canonical move sequence from the initial state to the sorted one
+    function solve(engine, array, options) {
+        let state = engine.create(array, options);
+        const moves = [];
+        for (let move = engine.expectedMove(state); move; move = engine.expectedMove(state)) {
+            moves.push(move);
+            state = engine.apply(state, move);
+        }
+        return { moves, state };
+    }
+
+    // The array after each pass of the canonical sequence: element k - 1 is the array after pass k
+    function passArrays(engine, array, options) {
+        let state = engine.create(array, options);
+        const arrays = [];
+        for (let move = engine.expectedMove(state); move; move = engine.expectedMove(state)) {
+            state = engine.apply(state, move);
+            while (arrays.length < engine.pass(state)) arrays.push(state.array.slice());
+        }
+        return arrays;
+    }
+
+    // --- Bubble Sort ---
+    // Each pass compares neighbours across the unsorted range [lo, hi] and settles one end of it.
+    // Right passes bubble towards the end (compares j, j+1); left passes towards the front (j-1, j).
+    // Variants ('variant' option):
+    //   classic   - every pass in the convergence direction, n-1 passes in all
+    //   optimized - after each pass the swapped flag is checked: a swap-free pass means stop
+    //   cocktail  - like optimized, but passes alternate direction, starting with the convergence
+    function bubblePair(s) {
+        return s.dir === 'right' ? [s.j, s.j + 1] : [s.j - 1, s.j];
+    }
+
+    function flip(dir) {
+        return dir === 'right' ? 'left' : 'right';
+    }
+
+    const bubble = defineEngine({
+        create(s, options) {
+            s.variant = options.variant || 'classic';
+            s.i = 0; // Completed passes
+            s.lo = 0;
+            s.hi = s.array.length - 1;
+            s.dir = s.convergence;
+            s.j = s.dir === 'left' ? s.hi : s.lo;
+            s.swapped = false; // Whether the current pass has swapped anything
+            s.check = false; // Pass just ended: continue or stop, depending on s.swapped
+            s.done = s.array.length < 2;
+        },
+
+        expectedMove(s) {
+            if (s.check) return { type: s.swapped ? 'continue' : 'stop' };
+            const [a, b] = bubblePair(s);
+            // Equal values never swap
+            return { type: precedes(s, s.array[b], s.array[a]) ? 'swap' : 'next' };
+        },
+
+        cost(s, move) {
+            if (s.check) return {};
+            return { comparisons: 1, swaps: move.type === 'swap' ? 1 : 0 };
+        },
+
+        apply(s, move) {
+            if (move.type === 'stop') {
+                s.done = true;
+                return;
+            }
+            if (move.type === 'continue') {
+                s.check = false;
+                s.swapped = false;
+                return;
+            }
+
+            const [a, b] = bubblePair(s);
+            if (move.type === 'swap') {
+                swap(s.array, a, b);
+                s.swapped = true;
+            }
+
+            if (s.dir === 'right') {
+                s.j++;
+                if (s.j < s.hi) return;
+                s.hi--;
+            } else {
+                s.j--;
+                if (s.j > s.lo) return;
+                s.lo++;
+            }
+
+            // End of a pass
+            s.i++;
+            if (s.variant === 'cocktail') s.dir = flip(s.dir);
+            s.j = s.dir === 'left' ? s.hi : s.lo;
+            s.done = s.lo >= s.hi;
+            if (s.done) return;
+            if (s.variant === 'classic') s.swapped = false;
+            else s.check = true;
+        },
+
+        pass(s) {
+            return s.i;
+        },
+
+        helpers: { pair: bubblePair }
+    });
+
+    // --- Insertion Sort ---
+    // Left convergence: sorted region is [0 ... boundary], picks boundary+1.
+    // Right convergence: sorted region is [boundary ... n-1], picks boundary-1.
+    // Modes ('mode' option) for placing the picked card:
+    //   slot   - one move naming the slot it belongs in
+    //   step   - the inner loop: compare with the next sorted card, then 'shift' past it or 'place'
+    //   binary - Binary Insertion Sort: 'probe' the midpoints of a binary search, then insert
+    function insertionPickIndex(s) {
+        return s.convergence === 'left' ? s.boundary + 1 : s.boundary - 1;
+    }
+
+    // Slot k means "before the card at index k". The picked card goes after equal values it
+    // started behind (left convergence) and before equal values it started in front of (right),
+    // which keeps the sort stable in both directions.
+    function goesBefore(s, val, item) {
+        return s.convergence === 'left' ? precedes(s, val, item) : !precedes(s, item, val);
+    }
+
+    function insertionSlot(s) {
+        const val = s.array[s.picked];
+        const start = s.convergence === 'left' ? 0 : s.boundary;
+        const end = s.convergence === 'left' ? s.boundary : s.array.length - 1;
+        for (let i = start; i <= end; i++) {
+            if (goesBefore(s, val, s.array[i])) return i;
+        }
+        return end + 1;
+    }
+
+    // Step mode: the sorted card the picked one is compared with next, or null past the end
+    function insertionNeighbour(s) {
+        const k = s.convergence === 'left' ? s.picked - 1 : s.picked + 1;
+        return k >= 0 && k < s.array.length ? k : null;
+    }
+
+    function shouldShift(s) {
+        const k = insertionNeighbour(s);
+        if (k === null) return false;
+        const val = s.array[s.picked];
+        return s.convergence === 'left' ? goesBefore(s, val, s.array[k]) : !goesBefore(s, val, s.array[k]);
+    }
+
+    // Binary mode: midpoint of the slot range [lo, hi] still in question
+    function insertionMid(s) {
+        return Math.floor((s.lo + s.hi) / 2);
+    }
+
+    const insertion = defineEngine({
+        create(s, options) {
+            s.mode = options.mode || 'slot';
+            s.boundary = s.convergence === 'left' ? 0 : s.array.length - 1;
+            s.picked = null; // Index of the card being inserted
+            s.lo = null; // Binary mode: slot range still in question
+            s.hi = null;
+            s.done = s.array.length < 2;
+        },
+
+        expectedMove(s) {
+            if (s.picked === null) return { type: 'pick', index: insertionPickIndex(s) };
+            if (s.mode === 'step') return { type: shouldShift(s) ? 'shift' : 'place' };
+            if (s.mode === 'binary' && s.lo < s.hi) return { type: 'probe', index: insertionMid(s) };
+            return { type: 'insert', slot: insertionSlot(s) };
+        },
+
+        // Every card the picked one passes is compared and shifted, then the card is written into
+        // the gap. The search makes one more comparison unless it ran off the end of the sorted region.
+        // Binary mode counts its comparisons on the probes instead.
+        cost(s, move) {
+            if (move.type === 'pick') return {};
+            if (move.type === 'shift') return { comparisons: 1, moves: 1 };
+            if (move.type === 'place') return { comparisons: insertionNeighbour(s) === null ? 0 : 1, moves: 1 };
+            if (move.type === 'probe') return { comparisons: 1 };
+            const insertAt = move.slot > s.picked ? move.slot - 1 : move.slot;
+            const shifts = Math.abs(insertAt - s.picked);
+            if (s.mode === 'binary') return { moves: shifts + 1 };
+            const ranOff = s.convergence === 'left' ? move.slot === 0 : move.slot === s.array.length;
+            return { comparisons: shifts + (ranOff ? 0 : 1), moves: shifts + 1 };
+        },
+
+        apply(s, move) {
+            if (move.type === 'pick') {
+                s.picked = move.index;
+                if (s.mode === 'binary') {
+                    s.lo = s.convergence === 'left' ? 0 : s.boundary;
+                    s.hi = s.convergence === 'left' ? s.boundary + 1 : s.array.length;
+                }
+                return;
+            }
+            if (move.type === 'shift') {
+                const k = insertionNeighbour(s);
+                swap(s.array, s.picked, k);
+                s.picked = k;
+                return;
+            }
+            if (move.type === 'probe') {
+                if (goesBefore(s, s.array[s.picked], s.array[move.index])) s.hi = move.index;
+                else s.lo = move.index + 1;
+                return;
+            }
+
+            if (move.type === 'insert') {
+                const val = s.array[s.picked];
+                s.array.splice(s.picked, 1);
+                // Inserting to the right of the removed card shifts the target left by one
+                const insertAt = move.slot > s.picked ? move.slot - 1 : move.slot;
+                s.array.splice(insertAt, 0, val);
+            }
+            s.picked = null;
+            s.lo = s.hi = null;
+
+            if (s.convergence === 'left') s.boundary++;
+            else s.boundary--;
+            s.done = s.convergence === 'left' ? s.boundary >= s.array.length - 1 : s.boundary <= 0;
+        },
+
+        // One pass inserts one card
+        pass(s) {
+            return s.convergence === 'left' ? s.boundary : s.array.length - 1 - s.boundary;
+        },
+
+        helpers: { pickIndex: insertionPickIndex, slot: insertionSlot, neighbour: insertionNeighbour, mid: insertionMid }
+    });
+
+    // --- Selection Sort ---
+    // Left convergence finds the element that comes first in [sortedIndex ... n-1];
+    // right convergence finds the one that comes last in [0 ... sortedIndex].
+    // With the 'scan' option the player runs the scan itself: m is the best card so far and k the
+    // card compared with it ('update' or 'keep'), then the round ends with 'swap' or 'stay'.
+    function selectionRange(s) {
+        return s.convergence === 'left' ? [s.sortedIndex, s.array.length - 1] : [0, s.sortedIndex];
+    }
+
+    // Whether the card at k replaces the one at m. Strict, so the first of equal cards in scan order wins.
+    function selectionBetter(s, k, m) {
+        return s.convergence === 'left'
+            ? precedes(s, s.array[k], s.array[m])
+            : precedes(s, s.array[m], s.array[k]);
+    }
+
+    // Scans from sortedIndex towards the far end, as the pseudocode does
+    function selectionTarget(s) {
+        const step = s.convergence === 'left' ? 1 : -1;
+        let best = s.sortedIndex;
+        for (let i = s.sortedIndex + step; i >= 0 && i < s.array.length; i += step) {
+            if (selectionBetter(s, i, best)) best = i;
+        }
+        return best;
+    }
+
+    function selectionScanning(s) {
+        return s.k >= 0 && s.k < s.array.length;
+    }
+
+    function startScan(s) {
+        s.m = s.sortedIndex;
+        s.k = s.convergence === 'left' ? s.sortedIndex + 1 : s.sortedIndex - 1;
+    }
+
+    const selection = defineEngine({
+        create(s, options) {
+            s.scan = !!options.scan;
+            s.sortedIndex = s.convergence === 'left' ? 0 : s.array.length - 1;
+            s.m = null; // Scan mode: best card so far and the card compared with it
+            s.k = null;
+            s.done = s.array.length < 2;
+            if (s.scan) startScan(s);
+        },
+
+        expectedMove(s) {
+            if (!s.scan) return { type: 'select', index: selectionTarget(s) };
+            if (selectionScanning(s)) return { type: selectionBetter(s, s.k, s.m) ? 'update' : 'keep' };
+            return { type: s.m === s.sortedIndex ? 'stay' : 'swap' };
+        },
+
+        // Any card equal in value to the target is accepted, unless tags tell equal cards apart
+        accepts(s, move) {
+            if (s.scan) return sameMove(selection.expectedMove(s), move);
+            if (move.type !== 'select') return false;
+            const [start, end] = selectionRange(s);
+            if (move.index < start || move.index > end) return false;
+            return sameItem(s.array[move.index], s.array[selectionTarget(s)]);
+        },
+
+        // Scanning the range compares each card after the first; a card already in place is not swapped
+        cost(s, move) {
+            if (move.type === 'update' || move.type === 'keep') return { comparisons: 1 };
+            if (move.type === 'swap') return { swaps: 1 };
+            if (move.type === 'stay') return {};
+            const [start, end] = selectionRange(s);
+            return { comparisons: end - start, swaps: move.index !== s.sortedIndex ? 1 : 0 };
+        },
+
+        apply(s, move) {
+            if (move.type === 'update' || move.type === 'keep') {
+                if (move.type === 'update') s.m = s.k;
+                s.k += s.convergence === 'left' ? 1 : -1;
+                return;
+            }
+
+            swap(s.array, s.sortedIndex, move.type === 'select' ? move.index : s.m);
+            if (s.convergence === 'left') s.sortedIndex++;
+            else s.sortedIndex--;
+            s.done = s.convergence === 'left' ? s.sortedIndex >= s.array.length - 1 : s.sortedIndex <= 0;
+            if (s.scan && !s.done) startScan(s);
+        },
+
+        // One pass puts one card in place
+        pass(s) {
+            return s.convergence === 'left' ? s.sortedIndex : s.array.length - 1 - s.sortedIndex;
+        },
+
+        helpers: { range: selectionRange, target: selectionTarget, scanning: selectionScanning }
+    });
+
+    // --- Merge Sort ---
+    // Top-down recursion flattened into split/merge tasks; `runs` is the recursion tree shown to the player.
+    function planMerge(lo, hi, depth, tasks) {
+        if (lo >= hi) return tasks;
+        const mid = Math.floor((lo + hi) / 2);
+        tasks.push({ type: 'split', lo, mid, hi, depth });
+        planMerge(lo, mid, depth + 1, tasks);
+        planMerge(mid + 1, hi, depth + 1, tasks);
+        tasks.push({ type: 'merge', lo, mid, hi, depth });
+        return tasks;
+    }
+
+    function mergeEnterTask(s) {
+        const task = s.tasks[s.taskIndex];
+        s.merge = null;
+        if (!task) {
+            s.done = true;
+            return;
+        }
+        if (task.type === 'merge') {
+            s.merge = {
+                left: s.array.slice(task.lo, task.mid + 1),
+                right: s.array.slice(task.mid + 1, task.hi + 1),
+                out: [],
+                li: 0,
+                ri: 0
+            };
+        }
+    }
+
+    function mergeExhausted(m) {
+        return m.li >= m.left.length || m.ri >= m.right.length;
+    }
+
+    const merge = defineEngine({
+        create(s) {
+            const n = s.array.length;
+            s.tasks = planMerge(0, n - 1, 0, []);
+            s.taskIndex = 0;
+            s.runs = [{ lo: 0, hi: n - 1, depth: 0, values: s.array.slice(), merged: n < 2 }];
+            mergeEnterTask(s);
+        },
+
+        expectedMove(s) {
+            const task = s.tasks[s.taskIndex];
+            if (task.type === 'split') return { type: 'split', gap: task.mid };
+            const m = s.merge;
+            // One run is exhausted: the rest of the other run is copied over as-is
+            if (mergeExhausted(m)) return { type: 'flush', auto: true };
+            // Ties take the left head so that equal values keep their original order (stable)
+            return { type: 'take', side: precedes(s, m.right[m.ri], m.left[m.li]) ? 'right' : 'left' };
+        },
+
+        cost(s, move) {
+            const m = s.merge;
+            if (move.type === 'take') return { comparisons: 1, moves: 1 };
+            if (move.type === 'flush') return { moves: m.left.length - m.li + m.right.length - m.ri };
+            return {};
+        },
+
+        apply(s, move) {
+            const task = s.tasks[s.taskIndex];
+            if (move.type === 'split') {
+                [[task.lo, task.mid], [task.mid + 1, task.hi]].forEach(([lo, hi]) => {
+                    s.runs.push({ lo, hi, depth: task.depth + 1, values: s.array.slice(lo, hi + 1), merged: lo === hi });
+                });
+                s.taskIndex++;
+                mergeEnterTask(s);
+                return;
+            }
+
+            const m = s.merge;
+            if (move.type === 'take') {
+                if (move.side === 'left') m.out.push(m.left[m.li++]);
+                else m.out.push(m.right[m.ri++]);
+                return;
+            }
+
+            m.out.push(...m.left.slice(m.li), ...m.right.slice(m.ri));
+            m.li = m.left.length;
+            m.ri = m.right.length;
+            s.array.splice(task.lo, m.out.length, ...m.out);
+            const run = s.runs.find(r => r.lo === task.lo && r.hi === task.hi);
+            run.values = m.out.slice();
+            run.merged = true;
+            s.taskIndex++;
+            mergeEnterTask(s);
+        },
+
+        // Top-down merging has no passes over the whole array: each completed merge counts as one
+        pass(s) {
+            return s.tasks.slice(0, s.taskIndex).filter(task => task.type === 'merge').length;
+        },
+
+        helpers: { exhausted: mergeExhausted }
+    });
+
+    // --- Quick Sort ---
+    // Lomuto keeps the pivot at the right end and scans j with a boundary i;
+    // Hoare keeps the pivot at the left end and moves i/j towards each other.
+    function quickNextRange(s) {
+        s.range = null;
+        s.pivotIndex = -1;
+        while (s.stack.length) {
+            const r = s.stack.pop();
+            if (r.lo < r.hi) {
+                s.range = r;
+                break;
+            }
+            if (r.lo === r.hi) s.finalized.push(r.lo);
+        }
+
+        if (!s.range) {
+            s.done = true;
+            return;
+        }
+        s.phase = 'pivot';
+        if (s.pivotRule === 'random') {
+            const [r, seed] = random(s.seed);
+            s.seed = seed;
+            s.randomPivot = s.range.lo + Math.floor(r * (s.range.hi - s.range.lo + 1));
+        }
+    }
+
+    function quickCandidates(s) {
+        const { lo, hi } = s.range;
+        if (s.pivotRule === 'first') return [lo];
+        if (s.pivotRule === 'last') return [hi];
+        if (s.pivotRule === 'random') return [s.randomPivot];
+        return [lo, Math.floor((lo + hi) / 2), hi];
+    }
+
+    // Index of the median value among the first/middle/last candidates
+    function quickMedian(s) {
+        const sorted = quickCandidates(s).slice().sort((x, y) => {
+            if (precedes(s, s.array[x], s.array[y])) return -1;
+            return precedes(s, s.array[y], s.array[x]) ? 1 : 0;
+        });
+        return sorted[1];
+    }
+
+    const quick = defineEngine({
+        create(s, options) {
+            s.scheme = options.scheme || 'lomuto'; // 'lomuto' | 'hoare'
+            s.pivotRule = options.pivotRule || 'last'; // 'first' | 'last' | 'median' | 'random'
+            s.seed = (options.seed || 1) >>> 0;
+            s.stack = [{ lo: 0, hi: s.array.length - 1 }];
+            s.finalized = []; // Indices whose final position is known
+            s.partitions = 0; // Completed partitions
+            s.phase = 'pivot'; // Lomuto: pivot -> scan -> place. Hoare: pivot -> scanI -> scanJ -> decide
+            s.pivotVal = null;
+            s.i = 0;
+            s.j = 0;
+            quickNextRange(s);
+        },
+
+        expectedMove(s) {
+            const a = s.array;
+            const pivot = s.pivotVal;
+            switch (s.phase) {
+                case 'pivot':
+                    if (s.pivotRule === 'random') return { type: 'pivot', index: s.randomPivot, auto: true };
+                    return { type: 'pivot', index: s.pivotRule === 'median' ? quickMedian(s) : quickCandidates(s)[0] };
+                case 'scan':
+                    return { type: precedes(s, pivot, a[s.j]) ? 'skip' : 'swap' };
+                case 'place':
+                    return { type: 'place', index: s.i + 1 };
+                case 'scanI':
+                    return { type: precedes(s, a[s.i], pivot) ? 'advance' : 'stop' };
+                case 'scanJ':
+                    return { type: precedes(s, pivot, a[s.j]) ? 'advance' : 'stop' };
+                default:
+                    return { type: s.i < s.j ? 'swap' : 'done' };
+            }
+        },
+
+        // Median-of-three accepts any candidate holding the median value
+        accepts(s, move) {
+            if (s.phase === 'pivot' && s.pivotRule === 'median' && move.type === 'pivot') {
+                const median = s.array[quickMedian(s)];
+                return quickCandidates(s).includes(move.index) && sameItem(s.array[move.index], median);
+            }
+            return sameMove(quick.expectedMove(s), move);
+        },
+
+        // Median-of-three is counted as the three comparisons that order the candidates
+        cost(s, move) {
+            const { lo, hi } = s.range;
+            switch (s.phase) {
+                case 'pivot': {
+                    const home = s.scheme === 'lomuto' ? hi : lo;
+                    return { comparisons: s.pivotRule === 'median' ? 3 : 0, swaps: move.index !== home ? 1 : 0 };
+                }
+                case 'scan':
+                    return { comparisons: 1, swaps: move.type === 'swap' && s.i + 1 !== s.j ? 1 : 0 };
+                case 'place':
+                    return { swaps: move.index !== hi ? 1 : 0 };
+                case 'scanI':
+                case 'scanJ':
+                    return { comparisons: 1 };
+                default:
+                    return { swaps: move.type === 'swap' ? 1 : 0 };
+            }
+        },
+
+        apply(s, move) {
+            const { lo, hi } = s.range;
+            const a = s.array;
+
+            if (move.type === 'pivot') {
+                const home = s.scheme === 'lomuto' ? hi : lo;
+                swap(a, move.index, home);
+                s.pivotIndex = home;
+                s.pivotVal = a[home];
+                if (s.scheme === 'lomuto') {
+                    s.i = lo - 1;
+                    s.j = lo;
+                    s.phase = 'scan';
+                } else {
+                    s.i = lo;
+                    s.j = hi + 1;
+                    s.phase = 'scanI';
+                }
+            } else if (s.phase === 'scan') {
+                if (move.type === 'swap') {
+                    s.i++;
+                    swap(a, s.i, s.j);
+                }
+                s.j++;
+                if (s.j >= hi) s.phase = 'place';
+            } else if (s.phase === 'place') {
+                swap(a, move.index, hi);
+                s.finalized.push(move.index);
+                s.stack.push({ lo: move.index + 1, hi }, { lo, hi: move.index - 1 });
+                s.partitions++;
+                quickNextRange(s);
+            } else if (s.phase === 'scanI') {
+                if (move.type === 'advance') {
+                    s.i++;
+                } else {
+                    s.j--;
+                    s.phase = 'scanJ';
+                }
+            } else if (s.phase === 'scanJ') {
+                if (move.type === 'advance') s.j--;
+                else s.phase = 'decide';
+            } else if (move.type === 'done') {
+                s.stack.push({ lo: s.j + 1, hi }, { lo, hi: s.j });
+                s.partitions++;
+                quickNextRange(s);
+            } else {
+                swap(a, s.i, s.j);
+                s.i++;
+                s.phase = 'scanI';
+            }
+        },
+
+        // Each partition is a pass
+        pass(s) {
+            return s.partitions;
+        },
+
+        helpers: { candidates: quickCandidates, median: quickMedian }
+    });
+
+    // --- Heap Sort ---
+    // Ascending builds a max-heap, descending a min-heap. Indices [heapSize ... n-1] are sorted.
+    function heapChildren(s, node) {
+        return [2 * node + 1, 2 * node + 2].filter(c => c < s.heapSize);
+    }
+
+    // The node among parent and children that belongs on top
+    function heapTarget(s, node) {
+        let best = node;
+        heapChildren(s, node).forEach(c => {
+            if (precedes(s, s.array[best], s.array[c])) best = c;
+        });
+        return best;
+    }
+
+    function heapFinishSift(s) {
+        if (s.phase === 'build' && s.buildIndex > 0) {
+            s.buildIndex--;
+            s.siftNode = s.buildIndex;
+        } else {
+            s.siftNode = -1;
+            s.phase = 'extract';
+        }
+    }
+
+    // Skips over sift-downs that have nothing to compare (leaves)
+    function heapSettle(s) {
+        while (s.siftNode >= 0 && !heapChildren(s, s.siftNode).length) heapFinishSift(s);
+        if (s.phase === 'extract' && s.heapSize <= 1) {
+            s.heapSize = 0;
+            s.done = true;
+        }
+    }
+
+    const heap = defineEngine({
+        create(s) {
+            s.heapSize = s.array.length;
+            s.phase = 'build'; // 'build' | 'sift' | 'extract'
+            s.buildIndex = Math.floor(s.array.length / 2) - 1;
+            s.siftNode = s.buildIndex;
+            heapSettle(s);
+        },
+
+        expectedMove(s) {
+            if (s.phase === 'extract') return { type: 'extract', index: s.heapSize - 1 };
+            const target = heapTarget(s, s.siftNode);
+            return target === s.siftNode ? { type: 'stay' } : { type: 'swap', index: target };
+        },
+
+        // A sift step compares the node with each of its children
+        cost(s, move) {
+            if (move.type === 'extract') return { swaps: 1 };
+            return { comparisons: heapChildren(s, s.siftNode).length, swaps: move.type === 'swap' ? 1 : 0 };
+        },
+
+        apply(s, move) {
+            if (move.type === 'extract') {
+                swap(s.array, 0, move.index);
+                s.heapSize--;
+                s.phase = 'sift';
+                s.siftNode = 0;
+            } else if (move.type === 'swap') {
+                swap(s.array, s.siftNode, move.index);
+                s.siftNode = move.index;
+            } else {
+                heapFinishSift(s);
+            }
+            heapSettle(s);
+        },
+
+        // Building the heap is pass 1, then each extraction ends a pass once the new root has sifted down.
+        // The last extraction leaves a single card, which finishes the sort without a sift.
+        pass(s) {
+            if (s.phase === 'build') return 0;
+            if (s.done) return s.array.length;
+            return s.array.length - s.heapSize + (s.phase === 'extract' ? 1 : 0);
+        },
+
+        helpers: { children: heapChildren, target: heapTarget }
+    });
+
+    // --- Shell Sort ---
+    // Gapped insertion sort done with compare/swap steps along each h-chain.
+    function shellGaps(n, sequence) {
+        const gaps = [];
+        if (sequence === 'knuth') {
+            for (let h = 1; h < n; h = 3 * h + 1) gaps.unshift(h);
+        } else if (sequence === 'ciura') {
+            [1, 4, 10, 23, 57, 132, 301, 701].filter(h => h < n).forEach(h => gaps.unshift(h));
+        } else {
+            for (let h = Math.floor(n / 2); h > 0; h = Math.floor(h / 2)) gaps.push(h);
+        }
+        return gaps.length ? gaps : [1];
+    }
+
+    function shellGap(s) {
+        return s.gaps[s.gapIndex];
+    }
+
+    const shell = defineEngine({
+        create(s, options) {
+            s.gapSequence = options.gapSequence || 'shell'; // 'shell' | 'knuth' | 'ciura'
+            s.gaps = shellGaps(s.array.length, s.gapSequence);
+            s.gapIndex = 0;
+            s.i = shellGap(s); // Element being inserted into its chain
+            s.j = s.i; // Its current position; compared with j - gap
+            s.done = s.array.length < 2;
+        },
+
+        expectedMove(s) {
+            const gap = shellGap(s);
+            return { type: precedes(s, s.array[s.j], s.array[s.j - gap]) ? 'swap' : 'next' };
+        },
+
+        cost(s, move) {
+            return { comparisons: 1, swaps: move.type === 'swap' ? 1 : 0 };
+        },
+
+        apply(s, move) {
+            const gap = shellGap(s);
+            if (move.type === 'swap') {
+                swap(s.array, s.j - gap, s.j);
+                s.j -= gap;
+                // Keep moving the element down its chain until it stops or reaches the front
+                if (s.j - gap >= 0) return;
+            }
+
+            s.i++;
+            s.j = s.i;
+            if (s.i < s.array.length) return;
+
+            s.gapIndex++;
+            if (s.gapIndex >= s.gaps.length) {
+                s.done = true;
+                return;
+            }
+            s.i = shellGap(s);
+            s.j = s.i;
+        },
+
+        // One pass per gap
+        pass(s) {
+            return s.done ? s.gaps.length : s.gapIndex;
+        },
+
+        helpers: { gap: shellGap, gaps: shellGaps }
+    });
+
+    // --- Counting / LSD Radix Sort ---
+    // Cards are dropped into buckets 0-9 strictly left to right and collected first-in first-out,
+    // which keeps equal keys in their original order.
+    function bucketKey(s, item) {
+        const value = keyOf(item);
+        if (s.kind === 'radix') return Math.floor(value / 10 ** s.passIndex) % 10;
+        return value;
+    }
+
+    // Ascending collects bucket 0 first, descending bucket 9 first
+    function bucketOrder(s) {
+        const order = s.buckets.map((_, b) => b);
+        return s.order === 'asc' ? order : order.reverse();
+    }
+
+    function bucketNext(s) {
+        return bucketOrder(s).find(b => s.buckets[b].length && !s.collected.includes(b));
+    }
+
+    function bucketStartPass(s) {
+        s.buckets = Array.from({ length: 10 }, () => []);
+        s.collected = [];
+        s.output = [];
+        s.cursor = 0; // Next card to drop
+        s.phase = 'distribute'; // 'distribute' | 'collect'
+    }
+
+    const bucket = defineEngine({
+        create(s, options) {
+            s.kind = options.kind || 'counting'; // 'counting' (values 0-9) | 'radix' (two decimal digits)
+            s.passCount = s.kind === 'radix' ? 2 : 1;
+            s.passIndex = 0;
+            bucketStartPass(s);
+        },
+
+        expectedMove(s) {
+            if (s.phase === 'distribute') return { type: 'drop', bucket: bucketKey(s, s.array[s.cursor]) };
+            return { type: 'collect', bucket: bucketNext(s) };
+        },
+
+        // No comparisons at all: each card is moved into a bucket and back out once per pass
+        cost(s, move) {
+            if (move.type === 'drop') return { moves: 1 };
+            return { moves: s.buckets[move.bucket].length };
+        },
+
+        apply(s, move) {
+            if (move.type === 'drop') {
+                s.buckets[move.bucket].push(s.array[s.cursor]);
+                s.cursor++;
+                if (s.cursor >= s.array.length) s.phase = 'collect';
+                return;
+            }
+
+            s.output.push(...s.buckets[move.bucket]);
+            s.collected.push(move.bucket);
+            if (bucketNext(s) !== undefined) return;
+
+            s.array = s.output.slice();
+            s.passIndex++;
+            if (s.passIndex >= s.passCount) s.done = true;
+            else bucketStartPass(s);
+        },
+
+        pass(s) {
+            return s.passIndex;
+        },
+
+        helpers: { key: bucketKey, next: bucketNext }
+    });
+
+    const SortEngine = {
+        keyOf,
+        comparators,
+        compare,
+        precedes,
+        sameItem,
+        random,
+        sameMove,
+        solve,
+        passArrays,
+        bubble,
+        insertion,
+        selection,
+        merge,
+        quick,
+        heap,
+        shell,
+        bucket
+    };
+
+    if (typeof module === 'object' && module.exports) module.exports = SortEngine;
+    else root.SortEngine = SortEngine;
+})(this);
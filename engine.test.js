@@ -0,0 +1,288 @@
+// --- Engine Tests ---
+// Checks the algorithm logic in engine.js with Node's built-in test runner: `node --test`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SortEngine = require('./engine.js');
+
+function moveTypes(engine, array, options) {
+    return SortEngine.solve(engine, array, options).moves.map(move => move.type);
+}
+
+function sortedArray(engine, array, options) {
+    return SortEngine.solve(engine, array, options).state.array;
+}
+
+test('every engine sorts both ways, duplicates included', () => {
+    const engines = [
+        [SortEngine.bubble, {}], [SortEngine.insertion, {}], [SortEngine.selection, {}], [SortEngine.merge, {}],
+        [SortEngine.quick, {}], [SortEngine.heap, {}], [SortEngine.shell, {}]
+    ];
+    const array = [42, 7, 19, 7, 88, 3, 19, 56];
+    engines.forEach(([engine, options]) => ['right', 'left'].forEach(convergence => {
+        assert.deepEqual(sortedArray(engine, array, Object.assign({ order: 'asc', convergence }, options)), [3, 7, 7, 19, 19, 42, 56, 88]);
+        assert.deepEqual(sortedArray(engine, array, Object.assign({ order: 'desc', convergence }, options)), [88, 56, 42, 19, 19, 7, 7, 3]);
+    }));
+});
+
+test('bubble sort: swap or next for each pair, in the convergence direction', () => {
+    assert.deepEqual(moveTypes(SortEngine.bubble, [3, 1, 2], { convergence: 'right' }), ['swap', 'swap', 'next']);
+    const state = SortEngine.bubble.create([3, 1, 2], { convergence: 'left' });
+    assert.deepEqual(SortEngine.bubble.pair(state), [1, 2]);
+});
+
+test('insertion sort: pick the next card, then its slot', () => {
+    const { moves } = SortEngine.solve(SortEngine.insertion, [3, 1, 2], { convergence: 'right' });
+    assert.deepEqual(moves, [{ type: 'pick', index: 1 }, { type: 'insert', slot: 2 }, { type: 'pick', index: 0 }, { type: 'insert', slot: 3 }]);
+});
+
+test('selection sort: select the minimum (or maximum) of the unsorted range', () => {
+    assert.deepEqual(SortEngine.solve(SortEngine.selection, [3, 1, 2], {}).moves, [{ type: 'select', index: 0 }, { type: 'select', index: 0 }]);
+    const state = SortEngine.selection.create([4, 9, 1, 7], { order: 'asc', convergence: 'left' });
+    assert.equal(SortEngine.selection.target(state), 2);
+});
+
+test('merge sort: the game flushes what is left of a run by itself', () => {
+    const { moves, state } = SortEngine.solve(SortEngine.merge, [3, 1, 2, 0], {});
+    assert.deepEqual(state.array, [0, 1, 2, 3]);
+    assert.ok(moves.filter(move => move.type === 'flush').every(move => move.auto));
+});
+
+test('quick sort: every scheme and pivot rule', () => {
+    ['lomuto', 'hoare'].forEach(scheme => ['first', 'last', 'median', 'random'].forEach(pivotRule => {
+        assert.deepEqual(sortedArray(SortEngine.quick, [5, 2, 8, 2, 9, 1, 7], { scheme, pivotRule, seed: 3 }), [1, 2, 2, 5, 7, 8, 9]);
+    }));
+    assert.deepEqual(SortEngine.quick.expectedMove(SortEngine.quick.create([5, 2, 8, 1, 7], { pivotRule: 'last' })), { type: 'pivot', index: 4 });
+    // Median of three: first 5, middle 8, last 7
+    const median = SortEngine.quick.create([5, 2, 8, 1, 7], { pivotRule: 'median' });
+    assert.equal(median.array[SortEngine.quick.median(median)], 7);
+});
+
+test('heap sort: sift-down choices, then extractions', () => {
+    assert.deepEqual(moveTypes(SortEngine.heap, [3, 1, 2, 0], {}), ['stay', 'stay', 'extract', 'swap', 'extract', 'swap', 'extract']);
+});
+
+test('shell sort: gap sequences', () => {
+    assert.deepEqual(SortEngine.shell.gaps(10, 'shell'), [5, 2, 1]);
+    assert.deepEqual(SortEngine.shell.gaps(10, 'knuth'), [4, 1]);
+    assert.deepEqual(SortEngine.shell.gaps(10, 'ciura'), [4, 1]);
+    ['shell', 'knuth', 'ciura'].forEach(gapSequence => {
+        assert.deepEqual(sortedArray(SortEngine.shell, [9, 3, 7, 1, 8, 2, 6, 4, 5, 0], { gapSequence }), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    });
+});
+
+test('counting and radix sort: drop into buckets, then collect them in order', () => {
+    const counting = SortEngine.solve(SortEngine.bucket, [3, 1, 2, 0, 1], { kind: 'counting' });
+    assert.deepEqual(counting.moves.map(move => move.bucket), [3, 1, 2, 0, 1, 0, 1, 2, 3]);
+    assert.deepEqual(counting.state.array, [0, 1, 1, 2, 3]);
+    const radix = SortEngine.solve(SortEngine.bucket, [31, 12, 20, 3, 11], { kind: 'radix' });
+    // Ones digit first, then tens
+    assert.deepEqual(radix.moves.filter(move => move.type === 'drop').map(move => move.bucket), [1, 2, 0, 3, 1, 2, 3, 1, 1, 0]);
+    assert.deepEqual(radix.state.array, [3, 11, 12, 20, 31]);
+});
+
+test('wrong moves are refused and apply() never mutates its input', () => {
+    const state = SortEngine.bubble.create([3, 1, 2], {});
+    const before = JSON.stringify(state);
+    assert.equal(SortEngine.bubble.accepts(state, { type: 'next' }), false);
+    assert.throws(() => SortEngine.bubble.apply(state, { type: 'next' }), /Illegal move/);
+    const next = SortEngine.bubble.apply(state, { type: 'swap' });
+    assert.equal(JSON.stringify(state), before);
+    assert.deepEqual(next.array, [1, 3, 2]);
+    assert.equal(SortEngine.bubble.isComplete(SortEngine.solve(SortEngine.bubble, [3, 1, 2]).state), true);
+});
+
+function stats(engine, array, options) {
+    return SortEngine.solve(engine, array, options).state.stats;
+}
+
+test('operation counts: bubble sort compares every pair and swaps every inversion', () => {
+    assert.deepEqual(stats(SortEngine.bubble, [5, 4, 3, 2, 1], {}), { comparisons: 10, swaps: 10, moves: 0 });
+    assert.deepEqual(stats(SortEngine.bubble, [1, 2, 3, 4, 5], {}), { comparisons: 10, swaps: 0, moves: 0 });
+});
+
+test('operation counts: insertion sort shifts and writes, with one comparison per card on sorted input', () => {
+    assert.deepEqual(stats(SortEngine.insertion, [1, 2, 3, 4, 5], {}), { comparisons: 4, swaps: 0, moves: 4 });
+    // 3 and 2 run off the end of the sorted region, so only the shifts are compared
+    assert.deepEqual(stats(SortEngine.insertion, [3, 2, 1], {}), { comparisons: 3, swaps: 0, moves: 5 });
+});
+
+test('operation counts: selection, quick, merge and heap sort', () => {
+    assert.deepEqual(stats(SortEngine.selection, [3, 1, 2], {}), { comparisons: 3, swaps: 2, moves: 0 });
+    assert.equal(stats(SortEngine.quick, [1, 2, 3, 4, 5], { pivotRule: 'last' }).comparisons, 10);
+    assert.deepEqual(stats(SortEngine.merge, [8, 7, 6, 5, 4, 3, 2, 1], {}), { comparisons: 12, swaps: 0, moves: 24 });
+    assert.equal(stats(SortEngine.heap, [3, 1, 2, 0], {}).swaps, 5);
+});
+
+test('operation counts: bucket sorts never compare', () => {
+    assert.deepEqual(stats(SortEngine.bucket, [3, 1, 2, 0, 1], { kind: 'counting' }), { comparisons: 0, swaps: 0, moves: 10 });
+    assert.deepEqual(stats(SortEngine.bucket, [31, 12, 20, 3, 11], { kind: 'radix' }), { comparisons: 0, swaps: 0, moves: 20 });
+});
+
+test('operation counts: apply() adds to a copy of the stats', () => {
+    const state = SortEngine.bubble.create([2, 1], {});
+    const next = SortEngine.bubble.apply(state, { type: 'swap' });
+    assert.deepEqual(state.stats, { comparisons: 0, swaps: 0, moves: 0 });
+    assert.deepEqual(next.stats, { comparisons: 1, swaps: 1, moves: 0 });
+});
+
+function tags(array) {
+    return array.map(item => typeof item === 'object' ? item.value + item.tag : String(item));
+}
+
+test('stability: tagged duplicates keep their order in the stable sorts', () => {
+    const array = [{ value: 5, tag: 'a' }, 3, { value: 5, tag: 'b' }, 1, { value: 5, tag: 'c' }];
+    [SortEngine.bubble, SortEngine.insertion, SortEngine.merge].forEach(engine => ['right', 'left'].forEach(convergence => {
+        assert.deepEqual(tags(sortedArray(engine, array, { convergence })), ['1', '3', '5a', '5b', '5c']);
+    }));
+    assert.deepEqual(tags(sortedArray(SortEngine.bucket, array, { kind: 'counting' })), ['1', '3', '5a', '5b', '5c']);
+});
+
+test('stability: selection sort swaps 4a behind 4b', () => {
+    assert.deepEqual(tags(sortedArray(SortEngine.selection, [{ value: 4, tag: 'a' }, { value: 4, tag: 'b' }, 1], { convergence: 'left' })), ['1', '4b', '4a']);
+});
+
+test('stability: tagged cards only match the same card', () => {
+    assert.equal(SortEngine.sameItem(7, 7), true);
+    assert.equal(SortEngine.sameItem({ value: 7, tag: 'a' }, { value: 7, tag: 'b' }), false);
+    assert.equal(SortEngine.precedes({ order: 'asc' }, { value: 2, tag: 'a' }, 3), true);
+    // With tags, only the card the scan really finds is accepted
+    const state = SortEngine.selection.create([{ value: 1, tag: 'a' }, 4, { value: 1, tag: 'b' }], { convergence: 'left' });
+    assert.equal(SortEngine.selection.accepts(state, { type: 'select', index: 0 }), true);
+    assert.equal(SortEngine.selection.accepts(state, { type: 'select', index: 2 }), false);
+});
+
+test('bubble variants: early exit stops after the first pass without a swap', () => {
+    // [2, 1, 3, 4, 5]: one swap in pass 1, none in pass 2
+    assert.deepEqual(moveTypes(SortEngine.bubble, [2, 1, 3, 4, 5], { variant: 'optimized' }),
+        ['swap', 'next', 'next', 'next', 'continue', 'next', 'next', 'next', 'stop']);
+    assert.equal(stats(SortEngine.bubble, [1, 2, 3, 4, 5], { variant: 'optimized' }).comparisons, 4);
+    assert.equal(stats(SortEngine.bubble, [1, 2, 3, 4, 5], { variant: 'classic' }).comparisons, 10);
+});
+
+test('bubble variants: cocktail passes alternate direction', () => {
+    // 1 at the far end needs n-1 right passes, but cocktail brings it home on its first left pass:
+    // 4 comparisons right, 3 left, then a swap-free pass of 2
+    assert.equal(stats(SortEngine.bubble, [2, 3, 4, 5, 1], { variant: 'optimized' }).comparisons, 10);
+    assert.equal(stats(SortEngine.bubble, [2, 3, 4, 5, 1], { variant: 'cocktail' }).comparisons, 9);
+    const state = SortEngine.bubble.apply(SortEngine.bubble.create([2, 1, 3], { variant: 'cocktail' }), { type: 'swap' });
+    const turned = SortEngine.bubble.apply(SortEngine.bubble.apply(state, { type: 'next' }), { type: 'continue' });
+    assert.equal(turned.dir, 'left');
+});
+
+test('bubble variants: continue and stop must match the swapped flag', () => {
+    let state = SortEngine.bubble.create([2, 1, 3], { variant: 'optimized' });
+    state = SortEngine.bubble.apply(SortEngine.bubble.apply(state, { type: 'swap' }), { type: 'next' });
+    assert.equal(SortEngine.bubble.accepts(state, { type: 'stop' }), false);
+    assert.equal(SortEngine.bubble.accepts(state, { type: 'continue' }), true);
+});
+
+test('insertion modes: step mode shifts past each larger card, then places', () => {
+    // Left convergence: 1 shifts past 3 and is placed at the front without a last comparison
+    assert.deepEqual(moveTypes(SortEngine.insertion, [3, 1, 2], { convergence: 'left', mode: 'step' }),
+        ['pick', 'shift', 'place', 'pick', 'shift', 'place']);
+    ['left', 'right'].forEach(convergence => {
+        const array = [5, 2, 4, 6, 1, 3];
+        assert.deepEqual(stats(SortEngine.insertion, array, { convergence, mode: 'step' }), stats(SortEngine.insertion, array, { convergence }));
+    });
+});
+
+test('insertion modes: binary insertion probes the midpoints of the sorted region', () => {
+    const { moves } = SortEngine.solve(SortEngine.insertion, [1, 3, 5, 7, 4], { convergence: 'left', mode: 'binary' });
+    const last = moves.slice(moves.map(move => move.type).lastIndexOf('pick'));
+    // Slots 0-4: probe 5 at index 2, then 3 at index 1, and 4 goes before 5
+    assert.deepEqual(last, [{ type: 'pick', index: 4 }, { type: 'probe', index: 2 }, { type: 'probe', index: 1 }, { type: 'insert', slot: 2 }]);
+});
+
+test('insertion modes: binary insertion compares about log2(k) times per card', () => {
+    const array = [8, 7, 6, 5, 4, 3, 2, 1];
+    const binary = stats(SortEngine.insertion, array, { convergence: 'left', mode: 'binary' });
+    assert.equal(binary.moves, stats(SortEngine.insertion, array, { convergence: 'left' }).moves);
+    // Searching k sorted cards takes floor(log2 k) + 1 probes here: 1+2+2+3+3+3+3, against 28 for a linear search
+    assert.equal(binary.comparisons, 17);
+});
+
+test('selection scan mode: update or keep for each card, then swap or stay', () => {
+    // Left convergence: 3 is the first best card; 1 replaces it, 2 does not; 1 goes to the front
+    assert.deepEqual(moveTypes(SortEngine.selection, [3, 1, 2], { convergence: 'left', scan: true }),
+        ['update', 'keep', 'swap', 'update', 'swap']);
+    assert.deepEqual(moveTypes(SortEngine.selection, [1, 2, 3], { convergence: 'left', scan: true }),
+        ['keep', 'keep', 'stay', 'keep', 'stay']);
+});
+
+test('selection scan mode: the first of equal cards in scan order wins', () => {
+    const state = SortEngine.selection.create([2, 1, 1], { convergence: 'left', scan: true });
+    const next = SortEngine.selection.apply(state, { type: 'update' });
+    assert.equal(SortEngine.selection.accepts(next, { type: 'update' }), false);
+    assert.equal(SortEngine.selection.accepts(next, { type: 'keep' }), true);
+});
+
+test('selection scan mode: same result and counts as selecting the target directly', () => {
+    ['left', 'right'].forEach(convergence => {
+        const array = [64, 25, 12, 22, 11, 25];
+        const scan = SortEngine.solve(SortEngine.selection, array, { convergence, scan: true }).state;
+        const pick = SortEngine.solve(SortEngine.selection, array, { convergence }).state;
+        assert.deepEqual(scan.array, pick.array);
+        assert.deepEqual(scan.stats, pick.stats);
+    });
+});
+
+test('passes: bubble, selection and insertion sort settle one card per pass', () => {
+    assert.deepEqual(SortEngine.passArrays(SortEngine.bubble, [5, 1, 4, 2, 8], { convergence: 'right' }),
+        [[1, 4, 2, 5, 8], [1, 2, 4, 5, 8], [1, 2, 4, 5, 8], [1, 2, 4, 5, 8]]);
+    assert.deepEqual(SortEngine.passArrays(SortEngine.selection, [64, 25, 12, 22, 11], { convergence: 'left' }),
+        [[11, 25, 12, 22, 64], [11, 12, 25, 22, 64], [11, 12, 22, 25, 64], [11, 12, 22, 25, 64]]);
+    assert.deepEqual(SortEngine.passArrays(SortEngine.insertion, [5, 2, 4, 6, 1, 3], { convergence: 'left' }),
+        [[2, 5, 4, 6, 1, 3], [2, 4, 5, 6, 1, 3], [2, 4, 5, 6, 1, 3], [1, 2, 4, 5, 6, 3], [1, 2, 3, 4, 5, 6]]);
+});
+
+test('passes: early-exit bubble sort ends after its first swap-free pass', () => {
+    assert.equal(SortEngine.passArrays(SortEngine.bubble, [2, 1, 3, 4, 5], { variant: 'optimized' }).length, 2);
+});
+
+test('passes: heap, shell, quick and radix sort', () => {
+    // Building the heap is pass 1
+    assert.deepEqual(SortEngine.passArrays(SortEngine.heap, [4, 10, 3, 5, 1], {}),
+        [[10, 5, 3, 4, 1], [5, 4, 3, 1, 10], [4, 1, 3, 5, 10], [3, 1, 4, 5, 10], [1, 3, 4, 5, 10]]);
+    assert.deepEqual(SortEngine.passArrays(SortEngine.shell, [35, 33, 42, 10, 14, 19, 27, 44], {}),
+        [[14, 19, 27, 10, 35, 33, 42, 44], [14, 10, 27, 19, 35, 33, 42, 44], [10, 14, 19, 27, 33, 35, 42, 44]]);
+    const quick = SortEngine.passArrays(SortEngine.quick, [10, 80, 30, 90, 40, 50, 70], { pivotRule: 'last' });
+    assert.deepEqual(quick[0], [10, 30, 40, 50, 70, 90, 80]);
+    assert.deepEqual(quick[quick.length - 1], [10, 30, 40, 50, 70, 80, 90]);
+    assert.deepEqual(SortEngine.passArrays(SortEngine.bucket, [70, 45, 75, 90, 2, 24, 66], { kind: 'radix' }),
+        [[70, 90, 2, 24, 45, 75, 66], [2, 24, 45, 66, 70, 75, 90]]);
+});
+
+test('passes: each completed merge counts as one', () => {
+    assert.equal(SortEngine.passArrays(SortEngine.merge, [5, 2, 4, 6, 1, 3], {}).length, 5);
+});
+
+function names(array) {
+    return array.map(record => `${record.name}:${record.score}`).join(' ');
+}
+
+test('comparators: words, playing cards and records', () => {
+    assert.ok(SortEngine.compare({ dataType: 'word' }, 'ant', 'bee') < 0);
+    assert.ok(SortEngine.compare({ dataType: 'word' }, 'kite', 'kit') > 0);
+    // Ace high; equal ranks go by suit ♣ ♦ ♥ ♠
+    assert.ok(SortEngine.compare({ dataType: 'card' }, { rank: 14, suit: 0 }, { rank: 13, suit: 3 }) > 0);
+    assert.ok(SortEngine.compare({ dataType: 'card' }, { rank: 7, suit: 1 }, { rank: 7, suit: 2 }) < 0);
+    assert.equal(SortEngine.precedes({ dataType: 'word', order: 'desc' }, 'bee', 'ant'), true);
+});
+
+test('comparators: records break ties on the other key', () => {
+    const amy = { name: 'Amy', score: 80 };
+    const ben = { name: 'Ben', score: 80 };
+    assert.ok(SortEngine.compare({ dataType: 'record', primaryKey: 'score' }, amy, ben) < 0);
+    assert.ok(SortEngine.compare({ dataType: 'record', primaryKey: 'name' }, amy, { name: 'Amy', score: 50 }) > 0);
+    assert.equal(SortEngine.sameItem(amy, { name: 'Amy', score: 80 }), true);
+    assert.equal(SortEngine.sameItem(amy, ben), false);
+});
+
+test('comparators: the engines sort through them', () => {
+    const records = [{ name: 'Ben', score: 80 }, { name: 'Amy', score: 95 }, { name: 'Amy', score: 50 }, { name: 'Cara', score: 80 }, { name: 'Ben', score: 50 }];
+    assert.equal(names(sortedArray(SortEngine.merge, records, { dataType: 'record' })), 'Amy:50 Ben:50 Ben:80 Cara:80 Amy:95');
+    assert.equal(names(sortedArray(SortEngine.merge, records, { dataType: 'record', primaryKey: 'name' })), 'Amy:50 Amy:95 Ben:50 Ben:80 Cara:80');
+    assert.deepEqual(sortedArray(SortEngine.insertion, ['pear', 'fig', 'apple', 'kiwi'], { dataType: 'word', order: 'desc' }), ['pear', 'kiwi', 'fig', 'apple']);
+    const cards = [{ rank: 14, suit: 0 }, { rank: 2, suit: 3 }, { rank: 2, suit: 1 }];
+    assert.deepEqual(sortedArray(SortEngine.heap, cards, { dataType: 'card' }), [{ rank: 2, suit: 1 }, { rank: 2, suit: 3 }, { rank: 14, suit: 0 }]);
+});
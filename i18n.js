@@ -0,0 +1,988 @@
+// --- Message Catalogue ---
+// Every user-facing string, per locale. `t(key, params)` looks a key up in the current locale
+// (falling back to Traditional Chinese) and fills `{name}` placeholders from params, e.g.
+//   t('bubble.prompt', { a: 5, b: 3 }) -> "比較 5 和 3：是否需要交換？"
+// Static text in index.html is tagged with data-i18n / data-i18n-title / data-i18n-placeholder.
+(function (root) {
+    'use strict';
+
+    const FALLBACK = 'zh-TW';
+
+    // Shown in the language selector, always in their own language
+    const locales = {
+        'zh-TW': '繁體中文',
+        en: 'English'
+    };
+
+    const messages = {
+        'zh-TW': {
+            'app.title': '演算法課後練習系統',
+            'app.language': '語言',
+
+            // Menu
+            'menu.subtitle': '請選擇一個主題開始挑戰！',
+            'menu.challenge': '⏱ 挑戰模式',
+            'menu.challengeHint': '計時計分，答錯扣分、連續答對加分；挑戰中無法復原或使用示範',
+            'menu.leaderboard': '🏆 排行榜',
+            'menu.resume': '▶️ 繼續',
+            'menu.discard': '放棄',
+            'menu.resumeText': '上次的「{title}」還沒完成 (已走 {steps} 步，{date})',
+            'menu.bubble': '氣泡排序',
+            'menu.bubbleAlt': 'Bubble Sort',
+            'menu.insertion': '插入排序',
+            'menu.insertionAlt': 'Insertion Sort',
+            'menu.selection': '選擇排序',
+            'menu.selectionAlt': 'Selection Sort',
+            'menu.merge': '合併排序',
+            'menu.mergeAlt': 'Merge Sort',
+            'menu.quick': '快速排序',
+            'menu.quickAlt': 'Quick Sort',
+            'menu.heap': '堆積排序',
+            'menu.heapAlt': 'Heap Sort',
+            'menu.shell': '希爾排序',
+            'menu.shellAlt': 'Shell Sort',
+            'menu.counting': '計數排序',
+            'menu.countingAlt': 'Counting Sort',
+            'menu.radix': '基數排序',
+            'menu.radixAlt': 'LSD Radix Sort',
+
+            // Game titles (results, history, leaderboard)
+            'game.bubble': '氣泡排序 (Bubble Sort)',
+            'game.insertion': '插入排序 (Insertion Sort)',
+            'game.selection': '選擇排序 (Selection Sort)',
+            'game.merge': '合併排序 (Merge Sort)',
+            'game.quick': '快速排序 (Quick Sort)',
+            'game.heap': '堆積排序 (Heap Sort)',
+            'game.shell': '希爾排序 (Shell Sort)',
+            'game.counting': '計數排序 (Counting Sort)',
+            'game.radix': '基數排序 (LSD Radix Sort)',
+            'game.instruction': '請依照指示完成排序',
+            'game.complete': '🎉 恭喜！排序完成！',
+            'game.confirmBack': '確定要返回主選單嗎？未完成的進度會保留，可以從主選單繼續。',
+            'game.confirmReplace': '要開啟網址中的題目嗎？目前這一題未完成的進度會被取代。',
+            'leave.title': '🚪 離開這一題？',
+            'leave.confirm': '離開',
+            'leave.stay': '繼續作答',
+            'pseudo.title': '📝 虛擬碼',
+
+            // Navigation & toolbar
+            'nav.back': '⬅️ 返回選單',
+            'nav.history': '📜 練習紀錄',
+            'toolbar.size': '數量',
+            'toolbar.order': '順序',
+            'toolbar.asc': '遞增 (小 → 大)',
+            'toolbar.desc': '遞減 (大 → 小)',
+            'toolbar.data': '資料',
+            'toolbar.dataNumber': '數字',
+            'toolbar.dataWord': '英文單字 (字母順序)',
+            'toolbar.dataCard': '撲克牌 (點數 → 花色)',
+            'toolbar.dataRecord': '成績紀錄 (姓名 + 分數)',
+            'toolbar.primaryKey': '先比',
+            'toolbar.keyScore': '分數，同分再比姓名',
+            'toolbar.keyName': '姓名，同名再比分數',
+            'toolbar.convergence': '收斂',
+            'toolbar.left': '向左 (Left)',
+            'toolbar.right': '向右 (Right)',
+            'toolbar.scheme': '分割法',
+            'toolbar.pivot': '樞紐',
+            'toolbar.pivotLast': '最後一個 (Last)',
+            'toolbar.pivotFirst': '第一個 (First)',
+            'toolbar.pivotMedian': '三數中位數 (Median-of-3)',
+            'toolbar.pivotRandom': '隨機 (Random)',
+            'toolbar.gaps': '間隔序列',
+            'toolbar.variant': '版本',
+            'toolbar.variantClassic': '基本 (Classic)',
+            'toolbar.variantOptimized': '提早結束 (Swapped flag)',
+            'toolbar.variantCocktail': '雞尾酒 (Cocktail Shaker)',
+            'toolbar.insertMode': '插入方式',
+            'toolbar.insertModeSlot': '直接選位置',
+            'toolbar.insertModeStep': '逐步比較與移動',
+            'toolbar.insertModeBinary': '二分插入 (Binary)',
+            'toolbar.scan': '找目標',
+            'toolbar.scanLabel': '逐一比較',
+            'toolbar.scanHint': '一張一張比較未排序的卡片，自己追蹤目前的最小（大）值，最後再決定要不要交換',
+            'toolbar.array': '自訂陣列',
+            'toolbar.arrayPlaceholder': '例：5 3 8 1 9',
+            'toolbar.arrayHint': '以空白或逗號分隔 5～20 個值（依「資料」設定：整數、英文單字、撲克牌如 10H、成績如 Amy:85），留空則隨機出題',
+            'toolbar.seed': '種子',
+            'toolbar.seedPlaceholder': '隨機',
+            'toolbar.seedRandom': '隨機 (#{seed})',
+            'toolbar.seedHint': '相同種子會產生相同的隨機題目',
+            'toolbar.duplicates': '重複值',
+            'toolbar.duplicatesLabel': '標示穩定性',
+            'toolbar.duplicatesHint': '刻意產生重複的數值，並以 a、b… 標示原本的先後順序，用來觀察排序是否穩定',
+            'toolbar.reset': '🔄 重置',
+            'toolbar.undo': '↩️ 復原',
+            'toolbar.undoHint': '復原 (Ctrl+Z)',
+            'toolbar.redo': '↪️ 重做',
+            'toolbar.redoHint': '重做 (Ctrl+Y)',
+            'toolbar.share': '🔗 分享',
+            'toolbar.shareHint': '複製可重現此題目的連結',
+            'share.copied': '🔗 已複製題目連結，開啟後會是完全相同的題目',
+            'share.prompt': '複製這個連結：',
+            'array.invalidValue': '自訂陣列只能包含 {min}～{max} 的整數',
+            'array.invalid.word': '自訂陣列只能包含英文單字（最多 8 個字母）',
+            'array.invalid.card': '撲克牌要寫成點數加花色，例如 A♠、10H、QD（花色可用 ♣♦♥♠ 或 C、D、H、S）',
+            'array.invalid.record': '成績紀錄要寫成「姓名:分數」，例如 Amy:85（分數 0～100）',
+            'array.invalidLength': '自訂陣列需要 {min}～{max} 個數字 (目前 {count} 個)',
+
+            // Demo
+            'demo.label': '🎬 示範',
+            'demo.play': '▶️ 播放',
+            'demo.pause': '⏸ 暫停',
+            'demo.step': '⏭ 下一步',
+            'demo.speed': '{seconds} 秒/步',
+
+            // Results & history
+            'time.seconds': '{seconds} 秒',
+            'time.minutes': '{minutes} 分 {seconds} 秒',
+            'results.title': '📊 練習結果',
+            'results.again': '🔄 再玩一次',
+            'results.close': '關閉',
+            'results.accuracy': '正確率 ({correct}/{total})',
+            'results.duration': '總時間',
+            'results.mistakes': '錯誤次數',
+            'results.hints': '💡 使用了 {count} 次提示，其中 {assisted} 步是看了答案才完成的',
+            'results.commonMistakes': '最常出錯的步驟',
+            'results.mistakeItem': '{kind}：{count} 次',
+            'results.noMistakes': '沒有任何錯誤 👏',
+            'results.log': '完整作答紀錄',
+            'results.colStep': '步驟',
+            'results.colKind': '類型',
+            'results.colExpected': '正確動作',
+            'results.colMove': '你的動作',
+            'results.colResult': '結果',
+            'results.colTime': '用時',
+            'history.title': '本次練習紀錄',
+            'history.colGame': '演算法',
+            'history.colStatus': '狀態',
+            'history.colAccuracy': '正確率',
+            'history.colMistakes': '錯誤',
+            'history.colTime': '時間',
+            'history.empty': '尚無紀錄',
+            'history.demo': '🎬 示範',
+            'history.completed': '✅ 完成',
+            'history.abandoned': '⏹ 中斷',
+            'history.score': '⏱ {score} 分',
+
+            // Operation counters & complexity
+            'stats.label': '計數',
+            'stats.counters': '🔍 比較 {comparisons}　🔁 交換 {swaps}　📦 移動 {moves}',
+            'stats.comparisons': '比較',
+            'stats.swaps': '交換',
+            'stats.moves': '移動',
+            'complexity.title': '📈 操作次數與理論值 (n = {n})',
+            'complexity.yours': '你的次數',
+            'complexity.count': '{metric}：{count}',
+            'complexity.best': '最佳',
+            'complexity.average': '平均',
+            'complexity.worst': '最差',
+            'complexity.none': '—',
+            'complexity.bySize': '📉 不同數量的{metric}次數',
+            'complexity.pastRuns': '過去完成的題目',
+            'complexity.thisRun': '這一局',
+            'complexity.note': '插入、合併與計數類排序的「移動」是單一元素的搬移；交換只計算位置不同的兩張牌。',
+
+            // Stability
+            'stability.stable': '🟢 穩定：相同數值的卡片維持了原本的先後順序。',
+            'stability.unstable': '🔴 不穩定：{values} 的先後順序被打亂了。',
+            'quiz.open': '🧪 穩定性小測驗',
+            'quiz.title': '🧪 哪些排序是穩定的？',
+            'quiz.intro': '穩定的排序不會改變相同數值的先後順序。請判斷下列演算法（依本遊戲的做法）是否穩定：',
+            'quiz.stable': '穩定',
+            'quiz.unstable': '不穩定',
+            'quiz.check': '✔️ 對答案',
+            'quiz.retry': '🔄 重新作答',
+            'quiz.close': '關閉',
+            'quiz.score': '答對 {right} / {total} 題',
+            'quiz.why.bubble': '穩定：只有前面比較大（遞減時比較小）才交換，相同的數值不會互換。',
+            'quiz.why.insertion': '穩定：插入時不會越過與自己相同的數值。',
+            'quiz.why.selection': '不穩定：把最小（大）值換到前面時，可能把相同數值中的前一張換到後面去。',
+            'quiz.why.merge': '穩定：合併遇到相同數值時先取左邊那一張。',
+            'quiz.why.quick': '不穩定：分割時的遠距離交換會打亂相同數值的順序。',
+            'quiz.why.heap': '不穩定：建堆與取出堆頂都會遠距離交換。',
+            'quiz.why.shell': '不穩定：以間隔分組插入時，相同數值可能被不同組跳著移動。',
+            'quiz.why.counting': '穩定：依序放入桶子、先進先出地收回。',
+            'quiz.why.radix': '穩定：每一輪都是穩定的分桶，這也是 LSD 基數排序能成立的原因。',
+
+            // Pass prediction quiz
+            'passQuiz.open': '🎯 預測某一輪',
+            'passQuiz.title': '🎯 預測某一輪之後的陣列',
+            'passQuiz.question': '依照本遊戲的{game}做法，{pass}之後的陣列是什麼？',
+            'passQuiz.setting': '{label}：{value}',
+            'passQuiz.randomPivot': '隨機樞紐無法事先算出，這一題改用最後一個當樞紐。',
+            'passQuiz.pass': '第 {k} 輪',
+            'passQuiz.passShell': '第 {k} 輪（間隔 {gap}）',
+            'passQuiz.passMerge': '第 {k} 次合併',
+            'passQuiz.passQuick': '第 {k} 次分割',
+            'passQuiz.passHeapBuild': '建好堆積',
+            'passQuiz.passHeap': '第 {k} 次取出堆頂',
+            'passQuiz.start': '起始陣列',
+            'passQuiz.picker': '題目：',
+            'passQuiz.answer': '你的答案',
+            'passQuiz.inputLabel': '以文字輸入答案',
+            'passQuiz.help': '點兩張卡片交換位置，或在上面的輸入框直接輸入整個陣列（以空白或逗號分隔，重複值要加上 a、b…）。',
+            'passQuiz.check': '✔️ 對答案',
+            'passQuiz.reset': '↩️ 重新作答',
+            'passQuiz.new': '🎲 換一題',
+            'passQuiz.close': '關閉',
+            'passQuiz.invalidLength': '需要 {n} 個數值，目前是 {count} 個。',
+            'passQuiz.score': '{right} / {total} 個位置正確',
+            'passQuiz.right': '✅ 完全正確！',
+            'passQuiz.trace': '正確的過程',
+            'passQuiz.firstDiff': '從第 {position} 個位置開始不同：應該是 {expected}，你的答案是 {actual}。',
+            'passQuiz.notPermutation': '答案裡的數值和起始陣列不一樣：{details}。排序只會移動卡片，不會增減數值。',
+            'passQuiz.missing': '少了 {values}',
+            'passQuiz.extra': '多了 {values}',
+            'passQuiz.tagsOnly': '數值都放對了，但相同數值的卡片（a、b…）先後不對。',
+            'passQuiz.sameAsStart': '這還是起始陣列，一輪都還沒做。',
+            'passQuiz.oneShort': '這是{pass}之後的陣列，少做了一次。',
+            'passQuiz.oneOver': '這是{pass}之後的陣列，多做了一次。',
+            'passQuiz.samePass': '這是{pass}之後的陣列。',
+            'passQuiz.otherConvergence': '這是收斂方向改成「{value}」才會得到的結果，請再確認收斂方向。',
+            'passQuiz.otherOrder': '這是順序改成「{value}」才會得到的結果，請再確認排序順序。',
+
+            // Hints
+            'hint.button': '💡 提示',
+            'hint.left': '左',
+            'hint.right': '右',
+            'hint.max': '最大值',
+            'hint.min': '最小值',
+            'hint.larger': '大',
+            'hint.smaller': '小',
+            'hint.asc': '由小到大',
+            'hint.desc': '由大到小',
+            'hint.answer': '💡 答案：按「{answer}」',
+            'hint.answerCard': '💡 答案：點擊 {value}',
+            'hint.answerSlot': '💡 答案：把 {value} 插入標示的位置',
+            'hint.before': '💡 排好後，{first} 應該在 {second} 前面。',
+            'hint.bubble1': '💡 這一輪會把{extreme}往{side}推。{a} 和 {b} 哪一個比較{size}？',
+            'hint.bubble2': '💡 標示的 {value} 應該在這一對的{side}邊。',
+            'hint.bubbleCheck1': '💡 回想剛才這一輪：有沒有做過任何一次交換？',
+            'hint.bubbleCheck2': '💡 整輪都沒有交換，代表每一對相鄰的數都已經排好；只要有交換，就還不能確定。',
+            'hint.insertionPick1': '💡 已排序區域在{side}邊，每次都取緊貼著它的那張未排序卡片。',
+            'hint.insertionPick2': '💡 標示的是已排序區域，取它旁邊的第一張卡片。',
+            'hint.insertionSlot1': '💡 順序是{order}：找出 {value} 在已排序卡片中的位置，讓整排仍然是{order}。',
+            'hint.insertionSlot2': '💡 標示的卡片都排在 {value} 前面，{value} 要插在它們後面。',
+            'hint.insertionSlotFirst': '💡 已排序區域裡沒有任何卡片排在 {value} 前面。',
+            'hint.insertionStep1': '💡 順序是{order}：{key} 和 {value} 現在的順序對嗎？不對就要把 {value} 移開。',
+            'hint.insertionEdge': '💡 {key} 旁邊已經沒有已排序的卡片可以比較了。',
+            'hint.insertionProbe1': '💡 搜尋範圍是 lo = {lo} 到 hi = {hi}（不含 hi），中間是 mid = ⌊(lo + hi) / 2⌋。',
+            'hint.insertionProbe2': '💡 標示的是範圍內的 {count} 張卡片，點擊中間那張（偶數張時取左邊那張）。',
+            'hint.selection1': '💡 順序是{order}、向{side}收斂：每一回合找出未排序卡片中的{target}，放到它們的最{side}邊。',
+            'hint.selection2': '💡 在標示的卡片中一張一張比較，記住目前的{target}。',
+            'hint.selectionScan1': '💡 {value} 比目前的{target} {best} 更{size}嗎？',
+            'hint.selectionScan2': '💡 只有更{size}的數才會取代{target}，一樣大的不算。',
+            'hint.selectionSwap1': '💡 {target} {value} 是不是已經在下一個排序位置上了？',
+            'hint.selectionSwap2': '💡 標示的是{target}和下一個排序位置；同一張卡片就不用交換。',
+
+            // Teacher assignments
+            'assignment.load': '📚 載入作業',
+            'assignment.loadHint': '選擇老師提供的作業檔 (.json)',
+            'assignment.invalid': '無法讀取作業檔：{reason}',
+            'assignment.errorEmpty': '作業檔需要一個至少有一題的 exercises 清單',
+            'assignment.errorGame': '第 {index} 題的演算法「{game}」不存在',
+            'assignment.errorSetting': '第 {index} 題的 {key} 設定不正確',
+            'assignment.errorArray': '第 {index} 題的 array 必須是 {min}～{max} 個整數（或依 dataType 寫成字串，如 "10H"、"Amy:85"）',
+            'assignment.errorValue': '第 {index} 題的 array 只能包含 {min}～{max} 的整數',
+            'assignment.untitled': '未命名作業',
+            'assignment.namePrompt': '請輸入你的姓名或座號（會寫進匯出的成績）',
+            'assignment.anonymous': '未填姓名',
+            'assignment.confirmReplace': '目前的作業還沒結束，要改做新的作業嗎？原本的紀錄會被取代。',
+            'assignment.confirmEnd': '確定要結束作業嗎？結束後就無法再匯出這份作業的成績。',
+            'assignment.heading': '📚 {title} · {student}',
+            'assignment.done': '✅ 完成',
+            'assignment.started': '⏳ 進行中',
+            'assignment.todo': '— 未開始',
+            'assignment.continue': '▶️ 繼續作業',
+            'assignment.exportCsv': '⬇️ 匯出 CSV',
+            'assignment.exportJson': '⬇️ 匯出 JSON',
+            'assignment.end': '⏹ 結束作業',
+            'assignment.progress': '📚 {title}：第 {index} / {total} 題',
+            'assignment.next': '下一題 ▶',
+            'assignment.finish': '🏁 完成作業',
+
+            // Challenge & leaderboard
+            'score.total': '⭐ {score} 分',
+            'score.points': '正確步驟：+{points}',
+            'score.bonus': '連續答對獎勵：+{bonus} (最長連續 {streak} 步)',
+            'score.penalty': '錯誤扣分：{penalty}',
+            'score.timeBonus': '時間獎勵：+{bonus}',
+            'score.demo': '🎬 使用了示範，不列入排行榜',
+            'score.custom': '✏️ 自訂陣列不列入排行榜',
+            'score.rank': '🏆 排行榜第 {rank} 名！',
+            'score.unranked': '未進入前 {size} 名，再接再厲！',
+            'leaderboard.title': '🏆 排行榜',
+            'leaderboard.clear': '🗑️ 清除紀錄',
+            'leaderboard.close': '關閉',
+            'leaderboard.size': '{size} 個',
+            'leaderboard.asc': '遞增',
+            'leaderboard.desc': '遞減',
+            'leaderboard.left': '向左收斂',
+            'leaderboard.right': '向右收斂',
+            'leaderboard.colScore': '分數',
+            'leaderboard.colTime': '時間',
+            'leaderboard.colMistakes': '錯誤',
+            'leaderboard.colDate': '日期',
+            'leaderboard.empty': '還沒有成績，開啟「⏱ 挑戰模式」完成一局吧！',
+            'leaderboard.confirmClear': '確定要清除所有排行榜紀錄嗎？',
+
+            // Screen reader
+            'state.comparing': '比較中',
+            'state.selected': '已選取',
+            'state.pivot': '樞紐',
+            'state.sorted': '已排序',
+            'state.consumed': '已取出',
+            'state.inactive': '不在範圍內',
+            'sr.states': '{label}：{values}',
+            'sr.sortedCount': '已排序 {count} 張',
+            'sep.list': '、',
+            'sep.states': '，',
+
+            // Shared game text
+            'kind.step': '排序步驟',
+            'btn.swap': '🔄 交換 (Swap)',
+            'btn.next': '➡️ 下一組 (No Swap)',
+            'error.noSwap': '❌ 錯誤！目前順序正確，不需要交換。',
+            'error.mustSwap': '❌ 錯誤！順序不對，必須交換！',
+
+            // Bubble
+            'bubble.kind': '比較與交換',
+            'bubble.prompt': '比較 {a} 和 {b}：是否需要交換？',
+            'bubble.kindCheck': '判斷是否已排好',
+            'bubble.promptCheck': '第 {pass} 輪比較完了。這一輪有交換過嗎？有就繼續下一輪，沒有就代表已經排好，可以停止。',
+            'bubble.btnContinue': '🔁 繼續下一輪',
+            'bubble.btnStop': '⏹ 已排好，停止',
+            'bubble.errorStop': '❌ 太早停止了！這一輪有交換過，還不能確定已經排好。',
+            'bubble.errorContinue': '❌ 這一輪完全沒有交換，代表已經排好了，應該停止！',
+
+            // Insertion
+            'insertion.kindPick': '選取卡片',
+            'insertion.kindSlot': '選擇插入位置',
+            'insertion.promptPick': '👆 請點擊「未排序區域」中最靠近已排序區域的那張卡片',
+            'insertion.promptSlot': '📍 請在「已排序區域」中，點擊 {value} 應該插入的位置',
+            'insertion.slot': '插入位置 {slot}',
+            'insertion.correct': '✅ 正確！插入成功',
+            'insertion.wrong': '❌ 錯誤！{value} 不應該放在這裡',
+            'insertion.kindShift': '比較與移動',
+            'insertion.kindProbe': '二分搜尋',
+            'insertion.btnShift': '↔️ 移開 (Shift)',
+            'insertion.btnPlace': '⬇️ 插入這裡 (Insert)',
+            'insertion.promptStep': '比較 {key} 和 {value}：要把 {value} 移開，還是把 {key} 插入這裡？',
+            'insertion.promptEdge': '{key} 已經比到已排序區域的盡頭，沒有牌可以比較了。',
+            'insertion.errorShift': '❌ 錯誤！{value} 和 {key} 的順序已經正確，{key} 應該插入這裡。',
+            'insertion.errorPlace': '❌ 錯誤！{value} 和 {key} 的順序不對，要先把 {value} 移開。',
+            'insertion.errorEdge': '❌ 錯誤！已經沒有牌可以移開了，請把 {key} 插入這裡。',
+            'insertion.promptProbe': '🔍 二分搜尋：點擊範圍內正中間的卡片和 {value} 比較（偶數張時取左邊那張）',
+            'insertion.errorProbe': '❌ 錯誤！請點擊目前範圍正中間的卡片（mid = ⌊(lo + hi) / 2⌋）。',
+            'insertion.probeBefore': '✅ {key} 應排在 {value} 之前：留下左半邊繼續找。',
+            'insertion.probeAfter': '✅ {key} 不用排在 {value} 之前：留下右半邊繼續找。',
+            'insertion.promptBinarySlot': '📍 範圍只剩一個位置了：請把 {value} 插入該位置',
+
+            // Selection
+            'selection.kind': '找出目標',
+            'selection.min': '最小值',
+            'selection.max': '最大值',
+            'selection.prompt': '🔍 回合 {round}: 請找出未排序區域（白色卡片）中的「{target}」',
+            'selection.correct': '✅ 正確！目標是 {value}，正在交換...',
+            'selection.wrong': '❌ 錯誤！{picked} 不是目標 (目標是 {value})',
+            'selection.kindScan': '比較並更新目標',
+            'selection.kindSwap': '確認交換',
+            'selection.btnUpdate': '🔁 換成它 (Update)',
+            'selection.btnKeep': '➡️ 保持 (Keep)',
+            'selection.btnStay': '✋ 不用交換',
+            'selection.promptScan': '目前的{target}是 {best}。和 {value} 比較：要把{target}換成 {value} 嗎？',
+            'selection.promptSwap': '掃描完畢，{target}是 {value}。要把它和下一個排序位置的卡片交換嗎？',
+            'selection.errorUpdate': '❌ 錯誤！{value} 不會取代目前的{target} {best}。',
+            'selection.errorKeep': '❌ 錯誤！{value} 才是新的{target}，要換成它。',
+            'selection.errorSwap': '❌ 錯誤！{value} 已經在正確的位置，不需要交換。',
+            'selection.errorStay': '❌ 錯誤！{value} 還不在正確的位置，必須交換。',
+            'selection.stayed': '✅ 正確！{value} 已經在正確的位置，不用交換',
+
+            // Merge
+            'merge.kindSplit': '分割',
+            'merge.kindTake': '合併取值',
+            'merge.promptSplit': '✂️ 請點擊分割點，把 [{values}] 分成左右兩半',
+            'merge.wrongSplit': '❌ 錯誤！分割點應該在中間 (左半邊 {count} 個)',
+            'merge.splitDone': '✅ 正確！分割完成',
+            'merge.flush': '✅ 其中一邊已取完，剩下的元素直接接到後面',
+            'merge.promptTake': '🔀 合併中：{left} 和 {right}，哪一個應該先放入結果？',
+            'merge.wrongTie': '❌ 錯誤！兩個值相同時要先取左邊，才能保持穩定',
+            'merge.wrongTake': '❌ 錯誤！應該先放入 {value}',
+            'merge.splitBetween': '在 {a} 和 {b} 之間切開',
+            'merge.left': '左',
+            'merge.right': '右',
+            'merge.out': '結果',
+
+            // Quick
+            'quick.kindPivot': '選擇樞紐',
+            'quick.kindScan': 'Lomuto 掃描',
+            'quick.kindPlace': '放置樞紐',
+            'quick.kindScanI': 'Hoare 移動 i',
+            'quick.kindScanJ': 'Hoare 移動 j',
+            'quick.kindDecide': 'Hoare 交換或結束',
+            'quick.randomPivot': '🎲 隨機選出樞紐：{value}',
+            'quick.ruleFirst': '第一個元素',
+            'quick.ruleLast': '最後一個元素',
+            'quick.ruleMedian': '三數中位數 (首、中、尾)',
+            'quick.promptPivot': '🎯 請依照「{rule}」規則，點擊這一段的樞紐 (pivot)',
+            'quick.wrongMedian': '❌ 錯誤！{values} 的中位數是 {value}',
+            'quick.wrongRule': '❌ 錯誤！規則是取{rule}',
+            'quick.moveRight': '，先把它換到最右邊',
+            'quick.moveLeft': '，先把它換到最左邊',
+            'quick.pivotChosen': '✅ 樞紐是 {value}{note}。',
+            'quick.btnSwapScan': '🔄 i++ 並交換',
+            'quick.btnSkip': '➡️ 不交換',
+            'quick.btnAdvanceRight': '➡️ 繼續移動',
+            'quick.btnAdvanceLeft': '⬅️ 繼續移動',
+            'quick.btnStop': '✋ 停在這裡',
+            'quick.btnSwapIJ': '🔄 交換 i 和 j',
+            'quick.btnDone': '🏁 分割完成',
+            'quick.promptScan': '{prefix}比較 {value} 和樞紐 {pivot}：{value} 應該放到左側區域嗎？',
+            'quick.promptPlace': '{prefix}掃描結束！請點擊樞紐 {pivot} 最後應該放的位置 (i + 1)',
+            'quick.promptScanI': '{prefix}i 指向 {value}：要繼續往右移動，還是停下來 (與樞紐 {pivot} 比較)？',
+            'quick.promptScanJ': '{prefix}j 指向 {value}：要繼續往左移動，還是停下來 (與樞紐 {pivot} 比較)？',
+            'quick.promptDecide': '{prefix}i 和 j 都停下來了：要交換 {a} 和 {b}，還是分割已經完成？',
+            'quick.hintScanSwap': '{value} 不應排在樞紐之後，應該 i++ 並交換',
+            'quick.hintScanSkip': '{value} 應該排在樞紐之後，留在右側區域',
+            'quick.hintScanIAdvance': '{value} 已經在正確的一側，i 要繼續移動',
+            'quick.hintScanIStop': '{value} 不該在左側，i 必須停下',
+            'quick.hintScanJAdvance': '{value} 已經在正確的一側，j 要繼續移動',
+            'quick.hintScanJStop': '{value} 不該在右側，j 必須停下',
+            'quick.hintDecideSwap': 'i 仍在 j 的左邊，必須交換',
+            'quick.hintDecideDone': 'i 已經越過 j，分割完成',
+            'quick.wrong': '❌ 錯誤！{hint}',
+            'quick.partitioned': '✅ 正確！分割成 [{lo}..{mid}] 和 [{next}..{hi}]',
+            'quick.wrongPlace': '❌ 錯誤！樞紐應該放在 i + 1 的位置',
+            'quick.placed': '✅ 正確！樞紐 {pivot} 已經放到最終位置',
+
+            // Heap
+            'heap.max': '最大堆積 (Max-Heap)',
+            'heap.min': '最小堆積 (Min-Heap)',
+            'heap.kindBuild': '建立堆積 (下沉)',
+            'heap.kindSift': '調整堆積 (下沉)',
+            'heap.kindExtract': '根節點移到排序區',
+            'heap.build': '建立堆積',
+            'heap.sift': '調整堆積',
+            'heap.promptSift': '🌲 {stage} ({heap})：節點 {value} 要和哪個子節點 ({children}) 交換？',
+            'heap.promptExtract': '👑 堆積完成！根節點 {value} 應該和哪個位置交換，放進已排序區域？',
+            'heap.btnStay': '✋ 不用交換',
+            'heap.wrongStay': '❌ 錯誤！{value} 已經符合堆積性質，不需要交換',
+            'heap.wrongChild': '❌ 錯誤！應該和 {value} 交換',
+            'heap.mustSwap': '❌ 錯誤！必須和 {value} 交換',
+            'heap.stayed': '✅ 正確！這個節點已經就位',
+            'heap.wrongExtract': '❌ 錯誤！根節點要和堆積的最後一個元素交換',
+            'heap.extracted': '✅ 正確！{value} 已放入已排序區域',
+
+            // Shell
+            'shell.kind': '間隔 {gap} 比較',
+            'shell.gap': '📏 間隔 h = {gap} (序列：{gaps})。',
+            'shell.prompt': '{prefix}h = {gap}：比較 {a} 和 {b}，是否需要交換？',
+
+            // Counting & Radix
+            'bucket.kindDrop': '放入桶子',
+            'bucket.kindCollect': '收集桶子',
+            'bucket.keyValue': '數值',
+            'bucket.keyOnes': '個位數',
+            'bucket.keyTens': '十位數',
+            'bucket.pass': '第 {pass} 輪，',
+            'bucket.promptDrop': '🪣 {pass}請把 {value} 依照「{key}」放進正確的桶子 (點擊或拖曳)',
+            'bucket.asc': '由小到大',
+            'bucket.desc': '由大到小',
+            'bucket.promptCollect': '📥 全部放好了！請{direction}依序點擊桶子，把元素收回陣列',
+            'bucket.wrongCard': '❌ 錯誤！為了保持穩定，必須由左到右依序放入 (下一張是 {value})',
+            'bucket.wrongBucket': '❌ 錯誤！{value} 不屬於 {bucket} 號桶子',
+            'bucket.collectFirst': '應該先收 {bucket} 號桶子',
+            'bucket.empty': '這個桶子是空的',
+            'bucket.wrongCollect': '❌ 錯誤！{reason}',
+            'bucket.passDone': '✅ 第 {pass} 輪完成！',
+            'bucket.label': '桶子 {bucket}，{count} 張'
+        },
+
+        en: {
+            'app.title': 'Sorting Algorithm Practice',
+            'app.language': 'Language',
+
+            'menu.subtitle': 'Pick a topic to start practising!',
+            'menu.challenge': '⏱ Challenge mode',
+            'menu.challengeHint': 'Timed and scored: mistakes cost points, streaks earn bonuses. Undo and the demo are off during a challenge.',
+            'menu.leaderboard': '🏆 Leaderboard',
+            'menu.resume': '▶️ Resume',
+            'menu.discard': 'Discard',
+            'menu.resumeText': 'Your last "{title}" game is unfinished ({steps} moves made, {date})',
+            'menu.bubble': 'Bubble Sort',
+            'menu.bubbleAlt': '氣泡排序',
+            'menu.insertion': 'Insertion Sort',
+            'menu.insertionAlt': '插入排序',
+            'menu.selection': 'Selection Sort',
+            'menu.selectionAlt': '選擇排序',
+            'menu.merge': 'Merge Sort',
+            'menu.mergeAlt': '合併排序',
+            'menu.quick': 'Quick Sort',
+            'menu.quickAlt': '快速排序',
+            'menu.heap': 'Heap Sort',
+            'menu.heapAlt': '堆積排序',
+            'menu.shell': 'Shell Sort',
+            'menu.shellAlt': '希爾排序',
+            'menu.counting': 'Counting Sort',
+            'menu.countingAlt': '計數排序',
+            'menu.radix': 'LSD Radix Sort',
+            'menu.radixAlt': '基數排序',
+
+            'game.bubble': 'Bubble Sort',
+            'game.insertion': 'Insertion Sort',
+            'game.selection': 'Selection Sort',
+            'game.merge': 'Merge Sort',
+            'game.quick': 'Quick Sort',
+            'game.heap': 'Heap Sort',
+            'game.shell': 'Shell Sort',
+            'game.counting': 'Counting Sort',
+            'game.radix': 'LSD Radix Sort',
+            'game.instruction': 'Follow the instructions to sort the cards',
+            'game.complete': '🎉 Well done! The cards are sorted!',
+            'game.confirmBack': 'Return to the menu? Your unfinished game is kept and can be resumed from the menu.',
+            'game.confirmReplace': 'Open the puzzle in the address bar? Your unfinished game will be replaced.',
+            'leave.title': '🚪 Leave this puzzle?',
+            'leave.confirm': 'Leave',
+            'leave.stay': 'Keep playing',
+            'pseudo.title': '📝 Pseudocode',
+
+            'nav.back': '⬅️ Menu',
+            'nav.history': '📜 History',
+            'toolbar.size': 'Size',
+            'toolbar.order': 'Order',
+            'toolbar.asc': 'Ascending (small → large)',
+            'toolbar.desc': 'Descending (large → small)',
+            'toolbar.data': 'Data',
+            'toolbar.dataNumber': 'Numbers',
+            'toolbar.dataWord': 'Words (alphabetical)',
+            'toolbar.dataCard': 'Playing cards (rank → suit)',
+            'toolbar.dataRecord': 'Records (name + score)',
+            'toolbar.primaryKey': 'Sort by',
+            'toolbar.keyScore': 'Score, then name',
+            'toolbar.keyName': 'Name, then score',
+            'toolbar.convergence': 'Converge',
+            'toolbar.left': 'Left',
+            'toolbar.right': 'Right',
+            'toolbar.scheme': 'Partition',
+            'toolbar.pivot': 'Pivot',
+            'toolbar.pivotLast': 'Last',
+            'toolbar.pivotFirst': 'First',
+            'toolbar.pivotMedian': 'Median-of-3',
+            'toolbar.pivotRandom': 'Random',
+            'toolbar.gaps': 'Gap sequence',
+            'toolbar.variant': 'Variant',
+            'toolbar.variantClassic': 'Classic',
+            'toolbar.variantOptimized': 'Early exit (swapped flag)',
+            'toolbar.variantCocktail': 'Cocktail shaker',
+            'toolbar.insertMode': 'Placing',
+            'toolbar.insertModeSlot': 'Pick the slot',
+            'toolbar.insertModeStep': 'Compare & shift',
+            'toolbar.insertModeBinary': 'Binary insertion',
+            'toolbar.scan': 'Finding',
+            'toolbar.scanLabel': 'Scan one by one',
+            'toolbar.scanHint': 'Compare the unsorted cards one at a time, keep track of the minimum (maximum) so far, then decide whether to swap',
+            'toolbar.array': 'Custom array',
+            'toolbar.arrayPlaceholder': 'e.g. 5 3 8 1 9',
+            'toolbar.arrayHint': '5 to 20 values separated by spaces or commas, as set under Data: whole numbers, words, cards like 10H, records like Amy:85. Leave blank for a random puzzle.',
+            'toolbar.seed': 'Seed',
+            'toolbar.seedPlaceholder': 'Random',
+            'toolbar.seedRandom': 'Random (#{seed})',
+            'toolbar.seedHint': 'The same seed always deals the same random puzzle',
+            'toolbar.duplicates': 'Duplicates',
+            'toolbar.duplicatesLabel': 'Check stability',
+            'toolbar.duplicatesHint': 'Deal repeated values on purpose and tag them a, b, … in their starting order to see whether the sort is stable',
+            'toolbar.reset': '🔄 Reset',
+            'toolbar.undo': '↩️ Undo',
+            'toolbar.undoHint': 'Undo (Ctrl+Z)',
+            'toolbar.redo': '↪️ Redo',
+            'toolbar.redoHint': 'Redo (Ctrl+Y)',
+            'toolbar.share': '🔗 Share',
+            'toolbar.shareHint': 'Copy a link that reproduces this puzzle',
+            'share.copied': '🔗 Link copied. Opening it gives exactly the same puzzle.',
+            'share.prompt': 'Copy this link:',
+            'array.invalidValue': 'The custom array may only contain whole numbers from {min} to {max}',
+            'array.invalid.word': 'The custom array may only contain words (up to 8 letters)',
+            'array.invalid.card': 'Write cards as rank then suit, e.g. A♠, 10H, QD (suits as ♣♦♥♠ or C, D, H, S)',
+            'array.invalid.record': 'Write records as name:score, e.g. Amy:85 (scores 0-100)',
+            'array.invalidLength': 'The custom array needs {min} to {max} numbers (it has {count})',
+
+            'demo.label': '🎬 Demo',
+            'demo.play': '▶️ Play',
+            'demo.pause': '⏸ Pause',
+            'demo.step': '⏭ Step',
+            'demo.speed': '{seconds} s/step',
+
+            'time.seconds': '{seconds} s',
+            'time.minutes': '{minutes} min {seconds} s',
+            'results.title': '📊 Results',
+            'results.again': '🔄 Play again',
+            'results.close': 'Close',
+            'results.accuracy': 'Accuracy ({correct}/{total})',
+            'results.duration': 'Total time',
+            'results.mistakes': 'Mistakes',
+            'results.hints': '💡 Used {count} hints; {assisted} steps were made after seeing the answer',
+            'results.commonMistakes': 'Most missed steps',
+            'results.mistakeItem': '{kind}: {count}×',
+            'results.noMistakes': 'No mistakes at all 👏',
+            'results.log': 'Full attempt log',
+            'results.colStep': 'Step',
+            'results.colKind': 'Kind',
+            'results.colExpected': 'Expected',
+            'results.colMove': 'Your move',
+            'results.colResult': 'Result',
+            'results.colTime': 'Time',
+            'history.title': 'This session',
+            'history.colGame': 'Algorithm',
+            'history.colStatus': 'Status',
+            'history.colAccuracy': 'Accuracy',
+            'history.colMistakes': 'Mistakes',
+            'history.colTime': 'Time',
+            'history.empty': 'No runs yet',
+            'history.demo': '🎬 Demo',
+            'history.completed': '✅ Done',
+            'history.abandoned': '⏹ Abandoned',
+            'history.score': '⏱ {score} pts',
+
+            'stats.label': 'Counts',
+            'stats.counters': '🔍 Compares {comparisons}　🔁 Swaps {swaps}　📦 Moves {moves}',
+            'stats.comparisons': 'Comparisons',
+            'stats.swaps': 'Swaps',
+            'stats.moves': 'Moves',
+            'complexity.title': '📈 Work done vs. theory (n = {n})',
+            'complexity.yours': 'You',
+            'complexity.count': '{metric}: {count}',
+            'complexity.best': 'Best',
+            'complexity.average': 'Average',
+            'complexity.worst': 'Worst',
+            'complexity.none': '—',
+            'complexity.bySize': '📉 {metric} by array size',
+            'complexity.pastRuns': 'Past completed puzzles',
+            'complexity.thisRun': 'This run',
+            'complexity.note': 'A move shifts or copies one element (insertion, merge and bucket sorts); swaps only count two different positions.',
+
+            'stability.stable': '🟢 Stable: equal values kept their starting order.',
+            'stability.unstable': '🔴 Unstable: the order of {values} was mixed up.',
+            'quiz.open': '🧪 Stability quiz',
+            'quiz.title': '🧪 Which sorts are stable?',
+            'quiz.intro': 'A stable sort never changes the order of equal values. Decide for each algorithm (as played in this game) whether it is stable:',
+            'quiz.stable': 'Stable',
+            'quiz.unstable': 'Unstable',
+            'quiz.check': '✔️ Check answers',
+            'quiz.retry': '🔄 Try again',
+            'quiz.close': 'Close',
+            'quiz.score': '{right} / {total} correct',
+            'quiz.why.bubble': 'Stable: cards only swap when the first is strictly larger (smaller when descending), so equal values never trade places.',
+            'quiz.why.insertion': 'Stable: an inserted card never moves past an equal value.',
+            'quiz.why.selection': 'Unstable: swapping the minimum (maximum) to the front can send the first of two equal values behind the other.',
+            'quiz.why.merge': 'Stable: on a tie the merge takes the left card first.',
+            'quiz.why.quick': 'Unstable: long-distance swaps while partitioning reorder equal values.',
+            'quiz.why.heap': 'Unstable: building the heap and extracting the top both swap over long distances.',
+            'quiz.why.shell': 'Unstable: gapped insertion can move equal values in different chains past each other.',
+            'quiz.why.counting': 'Stable: cards go into the buckets in order and come out first-in first-out.',
+            'quiz.why.radix': 'Stable: every pass is a stable bucket pass, which is what makes LSD radix sort work.',
+
+            'passQuiz.open': '🎯 Predict a pass',
+            'passQuiz.title': '🎯 Predict the array after a pass',
+            'passQuiz.question': 'Following {game} as played here, what is the array after {pass}?',
+            'passQuiz.setting': '{label}: {value}',
+            'passQuiz.randomPivot': 'Random pivots cannot be worked out in advance, so this question uses the last card as the pivot.',
+            'passQuiz.pass': 'pass {k}',
+            'passQuiz.passShell': 'pass {k} (gap {gap})',
+            'passQuiz.passMerge': 'merge {k}',
+            'passQuiz.passQuick': 'partition {k}',
+            'passQuiz.passHeapBuild': 'building the heap',
+            'passQuiz.passHeap': 'extraction {k}',
+            'passQuiz.start': 'Starting array',
+            'passQuiz.picker': 'Question:',
+            'passQuiz.answer': 'Your answer',
+            'passQuiz.inputLabel': 'Type the answer',
+            'passQuiz.help': 'Click two cards to swap them, or type the whole array in the box above (separated by spaces or commas; repeated values need their a, b… tag).',
+            'passQuiz.check': '✔️ Check answer',
+            'passQuiz.reset': '↩️ Start over',
+            'passQuiz.new': '🎲 New question',
+            'passQuiz.close': 'Close',
+            'passQuiz.invalidLength': '{n} values are needed, there are {count}.',
+            'passQuiz.score': '{right} / {total} positions correct',
+            'passQuiz.right': '✅ Exactly right!',
+            'passQuiz.trace': 'Worked answer',
+            'passQuiz.firstDiff': 'The first difference is at position {position}: it should be {expected}, your answer has {actual}.',
+            'passQuiz.notPermutation': 'The answer does not hold the starting values: {details}. Sorting only moves cards around, it never adds or removes values.',
+            'passQuiz.missing': '{values} missing',
+            'passQuiz.extra': '{values} extra',
+            'passQuiz.tagsOnly': 'Every value is in the right place, but equal cards (a, b…) are in the wrong order.',
+            'passQuiz.sameAsStart': 'This is still the starting array: no pass has been made yet.',
+            'passQuiz.oneShort': 'This is the array after {pass}: one step short.',
+            'passQuiz.oneOver': 'This is the array after {pass}: one step too far.',
+            'passQuiz.samePass': 'This is the array after {pass}.',
+            'passQuiz.otherConvergence': 'This is what converging "{value}" gives; check the convergence direction.',
+            'passQuiz.otherOrder': 'This is what sorting "{value}" gives; check the sort order.',
+
+            'hint.button': '💡 Hint',
+            'hint.left': 'left',
+            'hint.right': 'right',
+            'hint.max': 'maximum',
+            'hint.min': 'minimum',
+            'hint.larger': 'larger',
+            'hint.smaller': 'smaller',
+            'hint.asc': 'smallest first',
+            'hint.desc': 'largest first',
+            'hint.answer': '💡 Answer: press "{answer}"',
+            'hint.answerCard': '💡 Answer: click {value}',
+            'hint.answerSlot': '💡 Answer: insert {value} at the marked slot',
+            'hint.before': '💡 Once sorted, {first} comes before {second}.',
+            'hint.bubble1': '💡 This pass pushes the {extreme} to the {side}. Which of {a} and {b} is {size}?',
+            'hint.bubble2': '💡 The marked {value} belongs on the {side} of this pair.',
+            'hint.bubbleCheck1': '💡 Think back over the pass you just finished: did it swap anything?',
+            'hint.bubbleCheck2': '💡 A pass with no swaps means every neighbouring pair is in order; after any swap it may not be sorted yet.',
+            'hint.insertionPick1': '💡 The sorted area is on the {side}; always take the unsorted card right next to it.',
+            'hint.insertionPick2': '💡 The marked cards are the sorted area: take the first card beside it.',
+            'hint.insertionSlot1': '💡 The order is {order}: find where {value} fits among the sorted cards so they stay {order}.',
+            'hint.insertionSlot2': '💡 The marked cards all come before {value}, so it goes after them.',
+            'hint.insertionSlotFirst': '💡 None of the sorted cards comes before {value}.',
+            'hint.insertionStep1': '💡 The order is {order}: are {key} and {value} the right way round? If not, shift {value} out of the way.',
+            'hint.insertionEdge': '💡 There are no sorted cards left beside {key} to compare with.',
+            'hint.insertionProbe1': '💡 The range runs from lo = {lo} up to (not including) hi = {hi}; its middle is mid = ⌊(lo + hi) / 2⌋.',
+            'hint.insertionProbe2': '💡 The marked {count} cards are the range: click the middle one (the left of the two middles).',
+            'hint.selection1': '💡 The order is {order}, converging {side}: each round finds the {target} of the unsorted cards and puts it at their {side} end.',
+            'hint.selection2': '💡 Go through the marked cards one by one, remembering the {target} so far.',
+            'hint.selectionScan1': '💡 Is {value} {size} than the {target} so far, {best}?',
+            'hint.selectionScan2': '💡 Only a {size} value replaces the {target}; an equal one does not.',
+            'hint.selectionSwap1': '💡 Is the {target}, {value}, already in the next sorted position?',
+            'hint.selectionSwap2': '💡 The marked cards are the {target} and the next sorted position; if they are the same card, no swap is needed.',
+
+            'assignment.load': '📚 Load assignment',
+            'assignment.loadHint': 'Pick the assignment file (.json) from your teacher',
+            'assignment.invalid': 'Could not read the assignment file: {reason}',
+            'assignment.errorEmpty': 'The file needs an "exercises" list with at least one exercise',
+            'assignment.errorGame': 'Exercise {index}: there is no algorithm called "{game}"',
+            'assignment.errorSetting': 'Exercise {index}: the {key} setting is not valid',
+            'assignment.errorArray': 'Exercise {index}: array must hold {min}-{max} integers (or strings such as "10H" or "Amy:85" for its dataType)',
+            'assignment.errorValue': 'Exercise {index}: array may only contain whole numbers from {min} to {max}',
+            'assignment.untitled': 'Untitled assignment',
+            'assignment.namePrompt': 'Enter your name or student number (it goes into the exported results)',
+            'assignment.anonymous': 'no name',
+            'assignment.confirmReplace': 'The current assignment is not finished. Start the new one instead? Its results will be replaced.',
+            'assignment.confirmEnd': 'End the assignment? Its results cannot be exported afterwards.',
+            'assignment.heading': '📚 {title} · {student}',
+            'assignment.done': '✅ Done',
+            'assignment.started': '⏳ In progress',
+            'assignment.todo': '— Not started',
+            'assignment.continue': '▶️ Continue',
+            'assignment.exportCsv': '⬇️ Export CSV',
+            'assignment.exportJson': '⬇️ Export JSON',
+            'assignment.end': '⏹ End assignment',
+            'assignment.progress': '📚 {title}: exercise {index} of {total}',
+            'assignment.next': 'Next exercise ▶',
+            'assignment.finish': '🏁 Finish assignment',
+
+            'score.total': '⭐ {score} pts',
+            'score.points': 'Correct moves: +{points}',
+            'score.bonus': 'Streak bonus: +{bonus} (best streak {streak})',
+            'score.penalty': 'Penalties: {penalty}',
+            'score.timeBonus': 'Time bonus: +{bonus}',
+            'score.demo': '🎬 The demo was used, so this run is not ranked',
+            'score.custom': '✏️ Custom arrays are not ranked',
+            'score.rank': '🏆 Leaderboard rank #{rank}!',
+            'score.unranked': 'Not in the top {size} this time. Keep going!',
+            'leaderboard.title': '🏆 Leaderboard',
+            'leaderboard.clear': '🗑️ Clear',
+            'leaderboard.close': 'Close',
+            'leaderboard.size': '{size} cards',
+            'leaderboard.asc': 'ascending',
+            'leaderboard.desc': 'descending',
+            'leaderboard.left': 'converge left',
+            'leaderboard.right': 'converge right',
+            'leaderboard.colScore': 'Score',
+            'leaderboard.colTime': 'Time',
+            'leaderboard.colMistakes': 'Mistakes',
+            'leaderboard.colDate': 'Date',
+            'leaderboard.empty': 'No scores yet. Turn on "⏱ Challenge mode" and finish a game!',
+            'leaderboard.confirmClear': 'Clear every leaderboard score?',
+
+            'state.comparing': 'comparing',
+            'state.selected': 'selected',
+            'state.pivot': 'pivot',
+            'state.sorted': 'sorted',
+            'state.consumed': 'taken',
+            'state.inactive': 'out of range',
+            'sr.states': '{label}: {values}',
+            'sr.sortedCount': '{count} sorted',
+            'sep.list': ', ',
+            'sep.states': ', ',
+
+            'kind.step': 'Sorting step',
+            'btn.swap': '🔄 Swap',
+            'btn.next': '➡️ Next (no swap)',
+            'error.noSwap': '❌ Wrong! They are already in order, no swap needed.',
+            'error.mustSwap': '❌ Wrong! They are out of order and must be swapped!',
+
+            'bubble.kind': 'Compare & swap',
+            'bubble.prompt': 'Compare {a} and {b}: do they need swapping?',
+            'bubble.kindCheck': 'Decide whether it is sorted',
+            'bubble.promptCheck': 'Pass {pass} is done. Did it swap anything? If so, go on to the next pass; if not, the array is sorted and you can stop.',
+            'bubble.btnContinue': '🔁 Next pass',
+            'bubble.btnStop': '⏹ Sorted, stop',
+            'bubble.errorStop': '❌ Too early! This pass swapped something, so the array may not be sorted yet.',
+            'bubble.errorContinue': '❌ This pass made no swaps, so the array is already sorted: time to stop!',
+
+            'insertion.kindPick': 'Pick a card',
+            'insertion.kindSlot': 'Choose a slot',
+            'insertion.promptPick': '👆 Click the unsorted card right next to the sorted area',
+            'insertion.promptSlot': '📍 Click where {value} belongs in the sorted area',
+            'insertion.slot': 'Slot {slot}',
+            'insertion.correct': '✅ Correct! Inserted.',
+            'insertion.wrong': '❌ Wrong! {value} does not go here',
+            'insertion.kindShift': 'Compare & shift',
+            'insertion.kindProbe': 'Binary search',
+            'insertion.btnShift': '↔️ Shift',
+            'insertion.btnPlace': '⬇️ Insert here',
+            'insertion.promptStep': 'Compare {key} with {value}: shift {value} out of the way, or insert {key} here?',
+            'insertion.promptEdge': '{key} has reached the end of the sorted area: there is nothing left to compare.',
+            'insertion.errorShift': '❌ Wrong! {value} and {key} are already in order, so {key} goes here.',
+            'insertion.errorPlace': '❌ Wrong! {value} and {key} are out of order: shift {value} first.',
+            'insertion.errorEdge': '❌ Wrong! There is nothing left to shift: insert {key} here.',
+            'insertion.promptProbe': '🔍 Binary search: click the middle card of the range to compare with {value} (the left one of the two middles)',
+            'insertion.errorProbe': '❌ Wrong! Click the middle card of the current range (mid = ⌊(lo + hi) / 2⌋).',
+            'insertion.probeBefore': '✅ {key} goes before {value}: keep the left half.',
+            'insertion.probeAfter': '✅ {key} does not go before {value}: keep the right half.',
+            'insertion.promptBinarySlot': '📍 Only one slot is left in the range: insert {value} there',
+
+            'selection.kind': 'Find the target',
+            'selection.min': 'minimum',
+            'selection.max': 'maximum',
+            'selection.prompt': '🔍 Round {round}: find the {target} among the unsorted (white) cards',
+            'selection.correct': '✅ Correct! The target is {value}, swapping...',
+            'selection.wrong': '❌ Wrong! {picked} is not the target (it is {value})',
+            'selection.kindScan': 'Compare & update',
+            'selection.kindSwap': 'Confirm the swap',
+            'selection.btnUpdate': '🔁 Take it (update)',
+            'selection.btnKeep': '➡️ Keep',
+            'selection.btnStay': '✋ No swap',
+            'selection.promptScan': 'The {target} so far is {best}. Compare it with {value}: does {value} become the new {target}?',
+            'selection.promptSwap': 'Scan finished: the {target} is {value}. Swap it into the next sorted position?',
+            'selection.errorUpdate': '❌ Wrong! {value} does not replace the current {target} {best}.',
+            'selection.errorKeep': '❌ Wrong! {value} is the new {target}: take it.',
+            'selection.errorSwap': '❌ Wrong! {value} is already in place, no swap needed.',
+            'selection.errorStay': '❌ Wrong! {value} is not in place yet and must be swapped.',
+            'selection.stayed': '✅ Correct! {value} is already in place, no swap needed',
+
+            'merge.kindSplit': 'Split',
+            'merge.kindTake': 'Merge',
+            'merge.promptSplit': '✂️ Click the split point that divides [{values}] into two halves',
+            'merge.wrongSplit': '❌ Wrong! Split in the middle (the left half has {count})',
+            'merge.splitDone': '✅ Correct! Split done.',
+            'merge.flush': '✅ One side is used up, so the rest are appended as they are',
+            'merge.promptTake': '🔀 Merging: which goes into the result first, {left} or {right}?',
+            'merge.wrongTie': '❌ Wrong! On a tie take the left one, so the sort stays stable',
+            'merge.wrongTake': '❌ Wrong! {value} goes first',
+            'merge.splitBetween': 'Split between {a} and {b}',
+            'merge.left': 'Left',
+            'merge.right': 'Right',
+            'merge.out': 'Result',
+
+            'quick.kindPivot': 'Choose pivot',
+            'quick.kindScan': 'Lomuto scan',
+            'quick.kindPlace': 'Place pivot',
+            'quick.kindScanI': 'Hoare move i',
+            'quick.kindScanJ': 'Hoare move j',
+            'quick.kindDecide': 'Hoare swap or finish',
+            'quick.randomPivot': '🎲 Random pivot: {value}',
+            'quick.ruleFirst': 'first element',
+            'quick.ruleLast': 'last element',
+            'quick.ruleMedian': 'median of three (first, middle, last)',
+            'quick.promptPivot': '🎯 Click this range\'s pivot using the "{rule}" rule',
+            'quick.wrongMedian': '❌ Wrong! The median of {values} is {value}',
+            'quick.wrongRule': '❌ Wrong! The rule takes the {rule}',
+            'quick.moveRight': ', so first swap it to the right end',
+            'quick.moveLeft': ', so first swap it to the left end',
+            'quick.pivotChosen': '✅ The pivot is {value}{note}. ',
+            'quick.btnSwapScan': '🔄 i++ and swap',
+            'quick.btnSkip': '➡️ No swap',
+            'quick.btnAdvanceRight': '➡️ Keep moving',
+            'quick.btnAdvanceLeft': '⬅️ Keep moving',
+            'quick.btnStop': '✋ Stop here',
+            'quick.btnSwapIJ': '🔄 Swap i and j',
+            'quick.btnDone': '🏁 Partition done',
+            'quick.promptScan': '{prefix}Compare {value} with the pivot {pivot}: does {value} belong in the left part?',
+            'quick.promptPlace': '{prefix}Scan finished! Click where the pivot {pivot} ends up (i + 1)',
+            'quick.promptScanI': '{prefix}i points at {value}: keep moving right, or stop (compare with the pivot {pivot})?',
+            'quick.promptScanJ': '{prefix}j points at {value}: keep moving left, or stop (compare with the pivot {pivot})?',
+            'quick.promptDecide': '{prefix}i and j have both stopped: swap {a} and {b}, or is the partition done?',
+            'quick.hintScanSwap': '{value} must not stay after the pivot, so i++ and swap',
+            'quick.hintScanSkip': '{value} belongs after the pivot, so it stays on the right',
+            'quick.hintScanIAdvance': '{value} is already on the correct side, so i keeps moving',
+            'quick.hintScanIStop': '{value} does not belong on the left, so i must stop',
+            'quick.hintScanJAdvance': '{value} is already on the correct side, so j keeps moving',
+            'quick.hintScanJStop': '{value} does not belong on the right, so j must stop',
+            'quick.hintDecideSwap': 'i is still left of j, so they must be swapped',
+            'quick.hintDecideDone': 'i has crossed j, so the partition is done',
+            'quick.wrong': '❌ Wrong! {hint}',
+            'quick.partitioned': '✅ Correct! Split into [{lo}..{mid}] and [{next}..{hi}]',
+            'quick.wrongPlace': '❌ Wrong! The pivot goes to position i + 1',
+            'quick.placed': '✅ Correct! The pivot {pivot} is in its final place',
+
+            'heap.max': 'max-heap',
+            'heap.min': 'min-heap',
+            'heap.kindBuild': 'Build heap (sift down)',
+            'heap.kindSift': 'Restore heap (sift down)',
+            'heap.kindExtract': 'Move root to sorted area',
+            'heap.build': 'Building the heap',
+            'heap.sift': 'Restoring the heap',
+            'heap.promptSift': '🌲 {stage} ({heap}): which child ({children}) should node {value} swap with?',
+            'heap.promptExtract': '👑 Heap ready! Which position should the root {value} swap with to join the sorted area?',
+            'heap.btnStay': '✋ No swap',
+            'heap.wrongStay': '❌ Wrong! {value} already satisfies the heap property, no swap needed',
+            'heap.wrongChild': '❌ Wrong! It should swap with {value}',
+            'heap.mustSwap': '❌ Wrong! It must swap with {value}',
+            'heap.stayed': '✅ Correct! This node is in place',
+            'heap.wrongExtract': '❌ Wrong! The root swaps with the last element of the heap',
+            'heap.extracted': '✅ Correct! {value} joined the sorted area',
+
+            'shell.kind': 'Gap {gap} comparison',
+            'shell.gap': '📏 Gap h = {gap} (sequence: {gaps}). ',
+            'shell.prompt': '{prefix}h = {gap}: compare {a} and {b}. Swap them?',
+
+            'bucket.kindDrop': 'Drop into bucket',
+            'bucket.kindCollect': 'Collect bucket',
+            'bucket.keyValue': 'value',
+            'bucket.keyOnes': 'ones digit',
+            'bucket.keyTens': 'tens digit',
+            'bucket.pass': 'Pass {pass} · ',
+            'bucket.promptDrop': '🪣 {pass}Put {value} into the right bucket by its {key} (click or drag)',
+            'bucket.asc': 'from smallest to largest',
+            'bucket.desc': 'from largest to smallest',
+            'bucket.promptCollect': '📥 All placed! Click the buckets {direction} to collect the cards back',
+            'bucket.wrongCard': '❌ Wrong! To keep the sort stable, drop the cards left to right (next is {value})',
+            'bucket.wrongBucket': '❌ Wrong! {value} does not belong in bucket {bucket}',
+            'bucket.collectFirst': 'collect bucket {bucket} first',
+            'bucket.empty': 'that bucket is empty',
+            'bucket.wrongCollect': '❌ Wrong! {reason}',
+            'bucket.passDone': '✅ Pass {pass} done!',
+            'bucket.label': 'Bucket {bucket}, {count} cards'
+        }
+    };
+
+    let locale = FALLBACK;
+
+    function t(key, params = {}) {
+        const table = messages[locale] || {};
+        const text = key in table ? table[key] : messages[FALLBACK][key];
+        if (text === undefined) return key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    function setLocale(next) {
+        if (messages[next]) locale = next;
+        return locale;
+    }
+
+    function getLocale() {
+        return locale;
+    }
+
+    const I18n = { locales, messages, t, setLocale, getLocale };
+
+    if (typeof module === 'object' && module.exports) module.exports = I18n;
+    else root.I18n = I18n;
+})(this);
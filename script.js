@@ -1,7 +1,19 @@
 // --- Game State & Infrastructure ---
+const t = I18n.t; // Message lookup, see i18n.js
+
 const App = {
     currentView: 'menu',
-    gameInstance: null
+    gameType: null,
+    gameInstance: null,
+    stepDelay: 600, // Pause between steps (ms), set by the speed slider
+    challenge: false, // Timed, scored runs (menu toggle)
+    sessionHistory: [], // Finished or abandoned runs of this page session
+    resultsRun: null, // Run shown in the results dialog (null: history only)
+    quizAnswers: null, // Checked answers of the stability quiz (null: not checked yet)
+    route: '#/', // URL hash of the view on screen (see syncUrl)
+    leave: null, // Open leave dialog: { message, proceed, stay } (see confirmLeave)
+    passQuiz: null, // Open pass prediction question (see dealPassQuiz)
+    assignment: null // Teacher assignment being worked through (see beginAssignment)
 };
 
 // --- DOM Elements ---
@@ -15,7 +27,28 @@ const ui = {
     instruction: document.getElementById('instruction-text'),
     board: document.getElementById('game-board'),
     controls: document.getElementById('controls-area'),
-    btnBack: document.getElementById('btn-back')
+    btnBack: document.getElementById('btn-back'),
+    demoPlay: document.getElementById('btn-demo-play'),
+    speedLabel: document.getElementById('speed-label'),
+    results: document.getElementById('results-dialog'),
+    resultsBody: document.getElementById('results-body'),
+    challengeHud: document.getElementById('challenge-hud'),
+    resumeBanner: document.getElementById('resume-banner'),
+    leaderboard: document.getElementById('leaderboard-dialog'),
+    leave: document.getElementById('leave-dialog'),
+    leaveText: document.getElementById('leave-text'),
+    quiz: document.getElementById('quiz-dialog'),
+    assignmentPanel: document.getElementById('assignment-panel'),
+    assignmentBar: document.getElementById('assignment-bar'),
+    quizBody: document.getElementById('quiz-body'),
+    passQuiz: document.getElementById('pass-quiz-dialog'),
+    passQuizBody: document.getElementById('pass-quiz-body'),
+    leaderboardBody: document.getElementById('leaderboard-body'),
+    liveRegion: document.getElementById('live-region'),
+    pseudoCode: document.getElementById('pseudo-code'),
+    pseudoVars: document.getElementById('pseudo-vars'),
+    hintBox: document.getElementById('hint-box'),
+    counters: document.getElementById('stats-counters')
 };
 
 // --- View Switching ---
@@ -23,25 +56,113 @@ function switchView(viewName) {
     App.currentView = viewName;
     Object.values(views).forEach(el => el.classList.remove('active'));
     views[viewName].classList.add('active');
+    if (viewName === 'menu') {
+        updateResumeBanner();
+        updateAssignmentPanel();
+    }
+}
+
+// Only show toolbar settings and panels that apply to the chosen game and data type
+// (see data-games and data-for-data in index.html)
+function updateToolbar(type) {
+    views.game.querySelectorAll('[data-games]').forEach(el => {
+        el.style.display = settingApplies(el, type) ? '' : 'none';
+    });
+}
+
+// --- Language ---
+const LOCALE_KEY = 'sortGame.locale';
+
+// Fills the static text tagged in index.html (data-i18n, data-i18n-title, data-i18n-placeholder)
+function applyTranslations() {
+    document.documentElement.lang = I18n.getLocale();
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+}
+
+// Switches language in place: the running game keeps its state and re-prompts in the new language
+function setLanguage(locale) {
+    I18n.setLocale(locale);
+    try {
+        localStorage.setItem(LOCALE_KEY, I18n.getLocale());
+    } catch (e) {
+        // Storage blocked or full: the language still applies until the page is closed
+    }
+    applyTranslations();
+    setSpeed(document.getElementById('input-speed').value);
+    updateResumeBanner();
+    if (App.gameInstance && App.gameInstance.state) App.gameInstance.relocalize();
+    if (!ui.results.hidden) showResults(App.resultsRun);
+    if (!ui.leaderboard.hidden) showLeaderboard();
+    if (!ui.quiz.hidden) showStabilityQuiz(App.quizAnswers);
+    if (!ui.passQuiz.hidden) renderPassQuiz();
+    if (App.leave) ui.leaveText.innerText = t(App.leave.message);
+    updateAssignmentPanel();
+    updateAssignmentBar();
+}
+
+function savedLocale() {
+    try {
+        return localStorage.getItem(LOCALE_KEY);
+    } catch (e) {
+        return null;
+    }
+}
+
+function initLanguage() {
+    const select = document.getElementById('select-locale');
+    Object.entries(I18n.locales).forEach(([code, name]) => select.add(new Option(name, code)));
+    I18n.setLocale(savedLocale() || I18n.getLocale());
+    select.value = I18n.getLocale();
+    applyTranslations();
+    setSpeed(document.getElementById('input-speed').value);
+}
+
+const GAME_TYPES = {
+    bubble: () => new BubbleSortGame(),
+    insertion: () => new InsertionSortGame(),
+    selection: () => new SelectionSortGame(),
+    merge: () => new MergeSortGame(),
+    quick: () => new QuickSortGame(),
+    heap: () => new HeapSortGame(),
+    shell: () => new ShellSortGame(),
+    counting: () => new CountingSortGame(),
+    radix: () => new RadixSortGame()
+};
+
+// Names come from URLs and stored data, so inherited keys such as 'constructor' must not count
+function isGameType(type) {
+    return Object.prototype.hasOwnProperty.call(GAME_TYPES, type);
 }
 
-function startGame(type) {
+// `saved` (see SortGame.snapshot) continues a stored game instead of dealing a new one.
+// `exercise` is the index of the assignment exercise being played, if any.
+function startGame(type, saved = null, exercise = null) {
+    if (!isGameType(type)) return;
     switchView('game');
     if (App.gameInstance) App.gameInstance.cleanup();
 
-    if (type === 'bubble') App.gameInstance = new BubbleSortGame();
-    else if (type === 'insertion') App.gameInstance = new InsertionSortGame();
-    else if (type === 'selection') App.gameInstance = new SelectionSortGame();
+    App.gameInstance = GAME_TYPES[type]();
+    App.gameInstance.exercise = saved ? saved.exercise : exercise;
+    App.gameType = type;
+    updateToolbar(type);
+    updateAssignmentBar();
 
     // Slight delay to allow view transition if needed, but synchronous is fine
-    App.gameInstance.init();
+    if (saved) App.gameInstance.restore(saved);
+    else App.gameInstance.init();
+    syncUrl();
 }
 
 function backToMenu() {
-    if (confirm("確定要返回主選單嗎？目前的進度將會遺失。")) {
-        switchView('menu');
-        if (App.gameInstance) App.gameInstance.cleanup();
-    }
+    confirmLeave('game.confirmBack', goToMenu);
 }
 
 // Exposed globally to ensure onclick works
@@ -54,800 +175,4088 @@ window.resetGame = function () {
     }
 };
 
-// --- Base Game Class ---
-class SortGame {
-    constructor(title) {
-        this.title = title;
-        this.array = [];
-        this.isComplete = false;
-        this.stepDelay = 600;
-        this.sortOrder = 'asc'; // 'asc' | 'desc'
-        this.convergence = 'right'; // 'left' | 'right'
-    }
+// --- Puzzle Input & Shareable Settings ---
+// Same limits SortGame.init() applies to the size input
+const SIZE_MIN = 5;
+const SIZE_MAX = 20;
 
-    init() {
-        console.log("Initializing Game: " + this.title);
-        // Clear controls
-        ui.controls.innerHTML = '';
+// URL parameter -> toolbar control
+const SETTING_PARAMS = {
+    size: 'input-size',
+    order: 'select-order',
+    conv: 'select-convergence',
+    scheme: 'select-scheme',
+    pivot: 'select-pivot',
+    gaps: 'select-gaps',
+    variant: 'select-variant',
+    insert: 'select-insert-mode',
+    scan: 'toggle-scan',
+    data: 'select-data',
+    key: 'select-primary-key',
+    array: 'input-array',
+    seed: 'input-seed',
+    dups: 'toggle-duplicates'
+};
 
-        // Read size from input
-        const sizeInput = document.getElementById('input-size');
-        let size = 5;
-        if (sizeInput) {
-            size = parseInt(sizeInput.value);
-            // Validation constraint
-            if (isNaN(size) || size < 5) size = 5;
-            if (size > 20) size = 20;
-            // Update UI
-            sizeInput.value = size;
-        }
+// Numeric seeds are used as-is; any other text is hashed (FNV-1a)
+function seedFromText(text) {
+    if (/^\d+$/.test(text)) return Number(text) % 2 ** 32;
+    let hash = 0x811c9dc5;
+    for (const ch of text) {
+        hash ^= ch.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
 
-        // Read Sort Settings
-        const orderSelect = document.getElementById('select-order');
-        const convSelect = document.getElementById('select-convergence');
-        this.sortOrder = orderSelect ? orderSelect.value : 'asc';
-        this.convergence = convSelect ? convSelect.value : 'right';
+// Math.random() replacement that replays the same sequence for the same seed
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        const [value, next] = SortEngine.random(state);
+        state = next;
+        return value;
+    };
+}
 
-        console.log(`Generating array size:${size}, order:${this.sortOrder}, conv:${this.convergence}`);
-        this.array = this.generateRandomArray(size);
-        this.isComplete = false;
-        this.render();
-        this.startLogic();
-    }
+// Toolbar controls behind each run setting (run.settings, assignment exercises)
+const RUN_SETTING_CONTROLS = {
+    size: 'input-size',
+    order: 'select-order',
+    convergence: 'select-convergence',
+    scheme: 'select-scheme',
+    pivotRule: 'select-pivot',
+    gapSequence: 'select-gaps',
+    variant: 'select-variant',
+    mode: 'select-insert-mode',
+    scan: 'toggle-scan',
+    dataType: 'select-data',
+    primaryKey: 'select-primary-key',
+    duplicates: 'toggle-duplicates'
+};
 
-    generateRandomArray(size) {
-        // Generate numbers between 1 and 99
-        return Array.from({ length: size }, () => Math.floor(Math.random() * 99) + 1);
-    }
+// Checkboxes travel as "1" or nothing
+function readSetting(el) {
+    if (el.type === 'checkbox') return el.checked ? '1' : '';
+    return el.value.trim();
+}
 
-    // Helper: Returns true if 'a' should come before 'b' based on sortOrder
-    shouldPrecede(a, b) {
-        if (this.sortOrder === 'asc') return a < b;
-        return a > b;
-    }
+function writeSetting(el, value) {
+    if (el.type === 'checkbox') el.checked = value === true || value === '1';
+    else el.value = value;
+}
 
-    render() {
-        ui.board.innerHTML = '';
-        this.array.forEach((num, index) => {
-            const card = this.createCardElement(num, index);
-            ui.board.appendChild(card);
-        });
-    }
+// Settings hidden for the current game (data-games) or data type (data-for-data) are left out of links
+function settingApplies(el, type) {
+    const group = el.closest('[data-games]');
+    if (group && !group.dataset.games.split(' ').includes(type)) return false;
+    const typed = el.closest('[data-for-data]');
+    return !typed || typed.dataset.forData.split(' ').includes(document.getElementById('select-data').value);
+}
 
-    createCardElement(num, index) {
-        const div = document.createElement('div');
-        div.className = 'card';
-        div.id = `card-${index}`;
-        div.innerText = num;
-        return div;
-    }
+function buildShareParams(game) {
+    const params = new URLSearchParams();
+    Object.entries(SETTING_PARAMS).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if (!el || !readSetting(el) || !settingApplies(el, App.gameType)) return;
+        const value = readSetting(el);
+        params.set(key, key === 'array' ? value.split(/[\s,，]+/).join(',') : value);
+    });
+    // Random puzzles carry their generated seed so the link reproduces them
+    if (!params.has('array')) params.set('seed', game.seed);
+    return params;
+}
 
-    setMessage(msg, type = 'normal') {
-        if (!ui.instruction) return;
-        ui.instruction.innerText = msg;
-        ui.instruction.style.color = type === 'error' ? '#e74c3c' : (type === 'success' ? '#2ecc71' : '#16a085');
-        if (type === 'error') {
-            ui.instruction.classList.add('shake');
-            setTimeout(() => ui.instruction.classList.remove('shake'), 500);
-        }
+function shareGame() {
+    const game = App.gameInstance;
+    if (!game || !game.state) return;
+    const url = `${location.origin}${location.pathname}${gameRoute(game)}`;
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(url)
+            .then(() => game.setMessage(t('share.copied'), 'success'))
+            .catch(() => prompt(t('share.prompt'), url));
+    } else {
+        prompt(t('share.prompt'), url);
     }
+}
 
-    playSuccess() {
-        this.setMessage("🎉 恭喜！排序完成！", 'success');
-        document.querySelectorAll('.card').forEach(c => {
-            c.classList.remove('comparing', 'selected');
-            c.classList.add('sorted');
-        });
-        ui.controls.innerHTML = '';
-    }
+// --- Routing ---
+// The URL hash names the view: '#/' is the menu and '#/game/<type>?<settings>' a game, with the
+// settings of a share link (SETTING_PARAMS). Starting a game from the menu adds a history entry,
+// so the browser's back and forward buttons move between the two; new puzzles and changed
+// settings only rewrite the game's entry.
+const MENU_ROUTE = '#/';
 
-    cleanup() { }
-    startLogic() { }
+function parseRoute(hash) {
+    const match = /^#\/game\/(\w+)(?:\?(.*))?$/.exec(hash);
+    if (!match || !isGameType(match[1])) return { view: 'menu' };
+    return { view: 'game', type: match[1], params: new URLSearchParams(match[2] || '') };
 }
 
-// --- Bubble Sort Implementation ---
-class BubbleSortGame extends SortGame {
-    constructor() {
-        super("氣泡排序 (Bubble Sort)");
-        this.i = 0;
-        this.j = 0;
-    }
+// A game whose custom array was rejected has no puzzle yet, so no settings either
+function gameRoute(game) {
+    return `#/game/${game.type}${game.state ? `?${buildShareParams(game)}` : ''}`;
+}
 
-    init() {
-        this.i = 0;
-        // Initialize j based on convergence
-        // Right Conv: j starts at 0
-        // Left Conv: j starts at last index (length-1)
-        this.j = 0; // will be reset in init logic if needed, but easier to handle in nextStep/updateState or locally
-        super.init();
-
-        // Correct initial j based on convergence
-        if (this.convergence === 'left') {
-            this.j = this.array.length - 1;
-        } else {
-            this.j = 0;
-        }
-        this.updateState(); // Trigger first state
-    }
+// Puts the game on screen into the address bar. Coming from the menu it adds the entry that
+// the back button returns from ({ fromMenu: true }, see goToMenu).
+function syncUrl() {
+    if (!App.gameInstance) return;
+    App.route = gameRoute(App.gameInstance);
+    if (parseRoute(location.hash).view === 'game') history.replaceState(history.state, '', App.route);
+    else history.pushState({ fromMenu: true }, '', App.route);
+}
 
-    startLogic() {
-        this.createControls();
-        // The first updateState is called at end of init(), because super.init() calls startLogic() at the end.
-        // Wait, super.init() calls startLogic() at the end. 
-        // So init() -> super.init() -> render() -> startLogic() -> createControls() -> updateState()
-        // But I put updateState in init() above? Ah, slightly redundant but safe.
-        // Let's rely on logic flow.
-    }
+// A link always sets the puzzle (array or seed) and its on/off options; other settings it
+// leaves out keep their current value
+function applyRouteSettings(type, params) {
+    Object.entries(SETTING_PARAMS).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        if (params.has(key)) writeSetting(el, params.get(key));
+        else if (key === 'array' || key === 'seed' || (el.type === 'checkbox' && settingApplies(el, type))) writeSetting(el, '');
+    });
+}
 
-    createControls() {
-        ui.controls.innerHTML = `
-            <button class="btn btn-danger" onclick="App.gameInstance.handleAction('swap')">🔄 交換 (Swap)</button>
-            <button class="btn btn-primary" onclick="App.gameInstance.handleAction('next')">➡️ 下一組 (No Swap)</button>
-        `;
-    }
+// Continues the saved game if it was saved at this address (a reload, or forward from the menu),
+// otherwise deals the puzzle the route describes
+function openRoute(route) {
+    const saved = loadSavedGame();
+    if (saved && saved.type === route.type && saved.route === location.hash) return resumeSavedGame();
+    applyRouteSettings(route.type, route.params);
+    startGame(route.type);
+}
 
-    updateState() {
-        if (this.isComplete) return;
+function showMenu() {
+    if (App.gameInstance) App.gameInstance.cleanup();
+    ui.results.hidden = true;
+    closePassQuiz();
+    App.route = MENU_ROUTE;
+    switchView('menu');
+}
 
-        // Clear previous styles
-        document.querySelectorAll('.card').forEach(c => c.classList.remove('comparing'));
+// The menu button steps back to the menu's own entry when there is one, so that the next back
+// leaves the page as expected; a game opened from a link gets a new menu entry instead
+function goToMenu() {
+    const fromMenu = parseRoute(location.hash).view === 'game' && history.state && history.state.fromMenu;
+    showMenu();
+    if (fromMenu) history.back();
+    else history.pushState(null, '', MENU_ROUTE);
+}
 
-        let idx1, idx2;
-        if (this.convergence === 'right') {
-            // Standard: comparing j and j+1
-            idx1 = this.j;
-            idx2 = this.j + 1;
-        } else {
-            // Left Conv: comparing j and j-1
-            idx1 = this.j - 1;
-            idx2 = this.j;
-        }
+// In-app replacement for confirm() when leaving a game. It only asks when there are moves to
+// lose (SortGame.hasProgress); proceed() runs right away otherwise, stay() if the player cancels.
+function confirmLeave(message, proceed, stay = () => { }) {
+    const game = App.gameInstance;
+    if (App.currentView !== 'game' || !game || !game.hasProgress) return proceed();
+    if (game.demoPlaying) game.pauseDemo();
+    App.leave = { message, proceed, stay };
+    ui.leaveText.innerText = t(message);
+    ui.leave.hidden = false;
+    ui.leave.querySelector('.leave-stay').focus();
+}
 
-        const c1 = document.getElementById(`card-${idx1}`);
-        const c2 = document.getElementById(`card-${idx2}`);
-        if (c1) c1.classList.add('comparing');
-        if (c2) c2.classList.add('comparing');
+function answerLeave(confirmed) {
+    const leave = App.leave;
+    App.leave = null;
+    ui.leave.hidden = true;
+    if (leave) (confirmed ? leave.proceed : leave.stay)();
+}
 
-        this.setMessage(`比較 ${this.array[idx1]} 和 ${this.array[idx2]}：是否需要交換？`);
+// Back/forward, or a hash typed into the address bar. The browser has already moved, so a
+// cancelled leave puts the game's address back as a new entry.
+function followRoute() {
+    const route = parseRoute(location.hash);
+    const current = App.route;
+    if (route.view === 'menu') {
+        if (App.currentView === 'menu') return;
+        return confirmLeave('game.confirmBack', showMenu, () => history.pushState({ fromMenu: true }, '', current));
     }
+    if (App.currentView === 'game' && location.hash === current) return;
+    confirmLeave('game.confirmReplace', () => openRoute(route), () => history.pushState(null, '', current));
+}
 
-    handleAction(action) {
-        if (this.isComplete) return;
+// Page load. Links from before hash routing carry the settings in the query string
+// (index.html?game=bubble&size=8) and are rewritten to their route.
+function loadFromUrl() {
+    const params = new URLSearchParams(location.search);
+    const type = params.get('game');
+    if (isGameType(type)) {
+        params.delete('game');
+        history.replaceState(null, '', `${location.pathname}#/game/${type}?${params}`);
+    }
+    const route = parseRoute(location.hash);
+    if (route.view === 'game') openRoute(route);
+    else updateResumeBanner();
+}
 
-        let idx1, idx2; // indices in array
-        if (this.convergence === 'right') {
-            idx1 = this.j;
-            idx2 = this.j + 1;
-        } else {
-            idx1 = this.j - 1;
-            idx2 = this.j;
-        }
-
-        const leftVal = this.array[idx1];
-        const rightVal = this.array[idx2];
-
-        let shouldSwap = false;
-        // Logic:
-        // sortOrder 'asc' (Small -> Large) : if left > right, swap.
-        // sortOrder 'desc' (Large -> Small): if left < right, swap.
-        // This is equivalent to: if !shouldPrecede(left, right) && left != right ??
-        // Simplify:
-        // We want leftVal to be 'preceding' rightVal.
-        // If shouldPrecede(leftVal, rightVal) is FALSE, and they are unequal, we swap?
-        // Wait. 
-        // Asc: 5, 3. shouldPrecede(5, 3) -> false (5 is not < 3). Swap needed? Yes.
-        // Asc: 3, 5. shouldPrecede(3, 5) -> true. Swap needed? No.
-        // Desc: 3, 5. shouldPrecede(3, 5) -> false (3 is not > 5). Swap needed? Yes.
-        // Desc: 5, 3. shouldPrecede(5, 3) -> true. Swap needed? No.
-
-        // However, we also need to handle equality. If equal, no swap.
-        if (leftVal === rightVal) {
-            shouldSwap = false;
-        } else {
-            shouldSwap = !this.shouldPrecede(leftVal, rightVal);
-        }
+// --- Data Types ---
+// Besides numbers, the comparison games can sort words, playing cards and records with two keys
+// (the 'dataType' engine option, ordered by SortEngine.comparators). Each type here deals random
+// items and reads one back from text, for custom arrays and typed answers; formatValue writes them.
+const WORDS = ['ant', 'bee', 'bird', 'box', 'cake', 'cat', 'dog', 'egg', 'fig', 'frog', 'gum', 'hat', 'ink', 'jam', 'kite',
+    'lamp', 'milk', 'moon', 'nest', 'owl', 'pen', 'quiz', 'rose', 'sun', 'tea', 'urn', 'van', 'web', 'yak', 'zoo'];
+const NAMES = ['Amy', 'Ben', 'Cara', 'Dan', 'Eva', 'Finn', 'Gus', 'Hana', 'Ivy', 'Jon', 'Kai', 'Leo', 'Mia', 'Ned',
+    'Olga', 'Pia', 'Ray', 'Sam', 'Tia', 'Uma'];
+const SUITS = ['♣', '♦', '♥', '♠']; // In the order the card comparator uses
+const SUIT_LETTERS = 'CDHS';
+const RANK_NAMES = { 11: 'J', 12: 'Q', 13: 'K', 14: 'A' };
 
-        let correct = false;
-        if (action === 'swap') {
-            if (shouldSwap) correct = true;
-            else return this.pulseError(`❌ 錯誤！目前順序正確，不需要交換。`);
-        } else {
-            if (!shouldSwap) correct = true;
-            else return this.pulseError(`❌ 錯誤！順序不對，必須交換！`);
-        }
+// `count` different entries of `list`, in random order
+function sample(list, count, random) {
+    const pool = list.slice();
+    return Array.from({ length: count }, () => pool.splice(Math.floor(random() * pool.length), 1)[0]);
+}
 
-        if (correct) {
-            if (action === 'swap') {
-                [this.array[idx1], this.array[idx2]] = [this.array[idx2], this.array[idx1]];
-                this.render();
-                document.getElementById(`card-${idx1}`).classList.add('flash');
-                document.getElementById(`card-${idx2}`).classList.add('flash');
-            } else {
-                document.getElementById(`card-${idx1}`).classList.add('flash');
-                document.getElementById(`card-${idx2}`).classList.add('flash');
-            }
-            setTimeout(() => this.nextStep(), this.stepDelay);
+// `unique` types never deal the same item twice, so the duplicates option does not apply to them
+const DATA_TYPES = {
+    word: {
+        deal: (size, random) => sample(WORDS, size, random),
+        parse: token => (/^[a-z]{1,8}$/i.test(token) ? token.toLowerCase() : null)
+    },
+    // A single deck; suits can be typed as symbols or letters (10H, QS)
+    card: {
+        unique: true,
+        deal: (size, random) => {
+            const deck = Array.from({ length: 52 }, (_, k) => ({ rank: 2 + (k % 13), suit: Math.floor(k / 13) }));
+            return sample(deck, size, random);
+        },
+        parse: token => {
+            const match = /^(10|[2-9JQKA])([♣♦♥♠CDHS])$/i.exec(token);
+            if (!match) return null;
+            const rankText = match[1].toUpperCase();
+            const named = Object.keys(RANK_NAMES).find(rank => RANK_NAMES[rank] === rankText);
+            const suitText = match[2].toUpperCase();
+            return { rank: Number(named || rankText), suit: SUITS.includes(suitText) ? SUITS.indexOf(suitText) : SUIT_LETTERS.indexOf(suitText) };
+        }
+    },
+    // Names and scores both come from small pools, so either key has ties for the other to break
+    record: {
+        unique: true,
+        deal: (size, random) => {
+            const pool = Math.ceil(size / 2) + 1;
+            const names = sample(NAMES, pool, random);
+            const scores = sample(Array.from({ length: 11 }, (_, k) => 50 + 5 * k), pool, random);
+            return sample(names.flatMap(name => scores.map(score => ({ name, score }))), size, random);
+        },
+        parse: token => {
+            const match = /^([a-z]{1,8}):(\d{1,3})$/i.exec(token);
+            if (!match || Number(match[2]) > 100) return null;
+            return { name: match[1][0].toUpperCase() + match[1].slice(1).toLowerCase(), score: Number(match[2]) };
         }
     }
+};
 
-    pulseError(msg) {
-        this.setMessage(msg, 'error');
-        let idx1, idx2;
-        if (this.convergence === 'right') { idx1 = this.j; idx2 = this.j + 1; }
-        else { idx1 = this.j - 1; idx2 = this.j; }
+// An item typed as text, or null if it is not one. Numbers are checked by the game (see valueRange).
+function parseItem(dataType, token) {
+    if (DATA_TYPES[dataType]) return DATA_TYPES[dataType].parse(token);
+    return /^-?\d+$/.test(token) ? Number(token) : null;
+}
 
-        const c1 = document.getElementById(`card-${idx1}`);
-        const c2 = document.getElementById(`card-${idx2}`);
-        if (c1) c1.classList.add('shake');
-        if (c2) c2.classList.add('shake');
-        setTimeout(() => {
-            if (c1) c1.classList.remove('shake');
-            if (c2) c2.classList.remove('shake');
-        }, 500);
-    }
+// --- Duplicate Values & Stability ---
+// With the duplicates option, puzzles repeat values on purpose and equal cards are tagged in
+// their starting order (5a, 5b, ...), so the sorted row shows whether that order was kept.
+const TAGS = 'abcdefghijklmnopqrst';
 
-    nextStep() {
-        if (this.convergence === 'right') {
-            // Standard Bubble Up
-            this.j++;
-            // Limit: n - 1 - i
-            if (this.j >= this.array.length - 1 - this.i) {
-                // End of pass
-                document.getElementById(`card-${this.array.length - 1 - this.i}`).classList.add('sorted');
-                this.j = 0;
-                this.i++;
-            }
+// Stable sorts never change the relative order of equal values (answers for the quiz)
+const STABLE_SORTS = {
+    bubble: true,
+    insertion: true,
+    selection: false,
+    merge: true,
+    quick: false,
+    heap: false,
+    shell: false,
+    counting: true,
+    radix: true
+};
 
-            if (this.i >= this.array.length - 1) {
-                this.isComplete = true;
-                this.playSuccess();
-            } else {
-                this.updateState();
-            }
-        } else {
-            // Left Convergence Bubble Down
-            this.j--;
-            // Limit: i (since 0 to i-1 are sorted)
-            // We compare j and j-1. So logic runs while j > i.
-            // When j == i, we stop.
-
-            if (this.j <= this.i) {
-                // End of pass. Handled index 'i' is now sorted.
-                // Wait, in bubble select, the element 'bubbled' to position 'i'.
-                document.getElementById(`card-${this.i}`).classList.add('sorted');
-                this.i++;
-                // Reset j for next pass: starts at end
-                this.j = this.array.length - 1;
-            }
+// Numbers and words that appear more than once become { value, tag } items (see engine.js)
+function tagDuplicates(values) {
+    const counts = {};
+    values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+    const seen = {};
+    return values.map(v => {
+        if (typeof v === 'object' || counts[v] < 2) return v;
+        seen[v] = (seen[v] || 0) + 1;
+        return { value: v, tag: TAGS[seen[v] - 1] };
+    });
+}
 
-            if (this.i >= this.array.length - 1) {
-                this.isComplete = true; // Optimization: last one is also sorted
-                // Should mark last one sorted too?
-                // If i == n-1, loop doesn't run.
-                this.playSuccess();
-            } else {
-                this.updateState();
-            }
-        }
-    }
+// Text form of an array item, e.g. 7, 5a, cat, cat-a, 10♥ or Amy:85
+function formatValue(item) {
+    if (typeof item !== 'object') return String(item);
+    if ('tag' in item) return typeof item.value === 'string' ? `${item.value}-${item.tag}` : `${item.value}${item.tag}`;
+    if ('rank' in item) return `${RANK_NAMES[item.rank] || item.rank}${SUITS[item.suit]}`;
+    return `${item.name}:${item.score}`;
+}
 
-    render() {
-        super.render();
-        // Add sorted classes based on simple loops
-        // Note: nextStep logic adds 'sorted' class transiently, but full render resets it.
-        // We need to re-apply 'sorted' to already sorted regions.
-
-        if (this.convergence === 'right') {
-            // Indices [n-i ... n-1] are sorted
-            // i is number of sorted elements at end
-            for (let k = 0; k < this.i; k++) {
-                let idx = this.array.length - 1 - k;
-                const card = document.getElementById(`card-${idx}`);
-                if (card) card.classList.add('sorted');
-            }
-        } else {
-            // Indices [0 ... i-1] are sorted
-            for (let k = 0; k < this.i; k++) {
-                const card = document.getElementById(`card-${k}`);
-                if (card) card.classList.add('sorted');
-            }
-        }
+// Writes an item into a card or tree node; the tag is a coloured suffix (data-tag, see style.css).
+// Words, playing cards and records are marked with data-kind for their own layout.
+function renderValue(el, item) {
+    const value = SortEngine.keyOf(item);
+    delete el.dataset.kind;
+    if (typeof value !== 'object') {
+        el.innerText = value;
+        if (typeof value === 'string') el.dataset.kind = 'word';
+    } else if ('rank' in value) {
+        el.innerText = formatValue(value);
+        el.dataset.kind = value.suit === 1 || value.suit === 2 ? 'card-red' : 'card';
+    } else {
+        el.innerHTML = `<span class="record-name">${value.name}</span><span class="record-score">${value.score}</span>`;
+        el.dataset.kind = 'record';
     }
+    renderTag(el, item);
 }
 
-// --- Insertion Sort Implementation ---
-class InsertionSortGame extends SortGame {
-    constructor() {
-        super("插入排序 (Insertion Sort)");
-        this.boundary = 0; // Represents the boundary of the sorted region.
-        // Left Conv: End of sorted (Inclusive). sorted [0..boundary]
-        // Right Conv: Start of sorted (Inclusive). sorted [boundary..n-1]
-    }
+// Also used on its own where a game draws the value itself (radix digits)
+function renderTag(el, item) {
+    delete el.dataset.tag;
+    if (typeof item !== 'object' || !('tag' in item)) return;
+    const tag = document.createElement('span');
+    tag.className = 'value-tag';
+    tag.textContent = item.tag;
+    el.appendChild(tag);
+    el.dataset.tag = item.tag;
+}
 
-    init() {
-        super.init();
+// Values whose tags are no longer in their starting order, or null when nothing is tagged
+function stabilityBreaks(array) {
+    const tagged = array.filter(item => typeof item === 'object' && 'tag' in item);
+    if (!tagged.length) return null;
+    const lastTag = {};
+    const broken = [];
+    tagged.forEach(({ value, tag }) => {
+        if (lastTag[value] > tag && !broken.includes(value)) broken.push(value);
+        lastTag[value] = tag;
+    });
+    return broken;
+}
 
-        if (this.convergence === 'left') {
-            this.boundary = 0;
-            // Index 0 is initially sorted
-            // We need to render first to clear old state, then add class
-            this.render();
-            const c0 = document.getElementById('card-0');
-            if (c0) c0.classList.add('sorted');
-        } else {
-            this.boundary = this.array.length - 1;
-            this.render();
-            // Index n-1 is initially sorted
-            const last = document.getElementById(`card-${this.array.length - 1}`);
-            if (last) last.classList.add('sorted');
+function describeStability(broken) {
+    if (!broken.length) return t('stability.stable');
+    return t('stability.unstable', { values: broken.join(t('sep.list')) });
+}
+
+function quizAnswerRight(answers, type) {
+    return answers[type] !== null && (answers[type] === 'stable') === STABLE_SORTS[type];
+}
+
+// Asks which algorithms are stable. `answers` holds the choices once the quiz is checked.
+function showStabilityQuiz(answers = null) {
+    App.quizAnswers = answers;
+    const rows = Object.keys(STABLE_SORTS).map(type => {
+        const choice = answers ? answers[type] : null;
+        const options = ['stable', 'unstable'].map(kind => `
+            <label><input type="radio" name="quiz-${type}" value="${kind}" ${choice === kind ? 'checked' : ''} ${answers ? 'disabled' : ''}> ${t(`quiz.${kind}`)}</label>`).join('');
+        let verdict = '';
+        if (answers) {
+            const right = quizAnswerRight(answers, type);
+            verdict = `<div class="quiz-verdict ${right ? 'right' : 'wrong'}">${right ? '✅' : '❌'} ${t(`quiz.why.${type}`)}</div>`;
         }
+        return `<li><span class="quiz-name">${t(`game.${type}`)}</span><span class="quiz-options">${options}</span>${verdict}</li>`;
+    }).join('');
 
-        this.promptPick();
+    let score = '';
+    if (answers) {
+        const right = Object.keys(STABLE_SORTS).filter(type => quizAnswerRight(answers, type)).length;
+        score = `<p class="quiz-score">${t('quiz.score', { right, total: Object.keys(STABLE_SORTS).length })}</p>`;
     }
+    ui.quizBody.innerHTML = `<p>${t('quiz.intro')}</p>${score}<ol class="quiz-list">${rows}</ol>`;
+    ui.quiz.querySelector('.quiz-check').hidden = !!answers;
+    ui.quiz.hidden = false;
+}
 
-    promptPick() {
-        let completed = false;
-        let pickIndex = -1;
+function checkStabilityQuiz() {
+    const answers = {};
+    Object.keys(STABLE_SORTS).forEach(type => {
+        const picked = ui.quizBody.querySelector(`input[name="quiz-${type}"]:checked`);
+        answers[type] = picked ? picked.value : null;
+    });
+    showStabilityQuiz(answers);
+}
 
-        if (this.convergence === 'left') {
-            if (this.boundary >= this.array.length - 1) completed = true;
-            else pickIndex = this.boundary + 1;
-        } else {
-            if (this.boundary <= 0) completed = true;
-            else pickIndex = this.boundary - 1;
-        }
+function closeStabilityQuiz() {
+    ui.quiz.hidden = true;
+}
 
-        if (completed) {
-            this.isComplete = true;
-            this.playSuccess();
-            return;
-        }
+// --- Pass Prediction Quiz ---
+// Exam-style question on the current game: the array after pass k, worked out from the starting
+// array and settings. The answers are the game's own engine run to the end of each pass (see
+// SortEngine.passArrays), so they always agree with what the game plays.
 
-        this.setMessage("👆 請點擊「未排序區域」中最靠近已排序區域的那張卡片");
-        const card = document.getElementById(`card-${pickIndex}`);
-        if (card) {
-            card.classList.add('clickable');
-            card.onclick = () => this.handlePick(pickIndex);
-        }
-    }
+// Settings that shape the passes, listed with the question
+const PASS_QUIZ_SETTINGS = ['dataType', 'primaryKey', 'order', 'convergence', 'variant', 'scheme', 'pivotRule', 'gapSequence'];
 
-    handlePick(index) {
-        const card = document.getElementById(`card-${index}`);
-        if (card) {
-            card.onclick = null;
-            card.classList.remove('clickable');
-        }
+// What "pass k" is for each game (see pass() in engine.js)
+function passLabel(quiz, k) {
+    switch (quiz.type) {
+        case 'merge':
+            return t('passQuiz.passMerge', { k });
+        case 'quick':
+            return t('passQuiz.passQuick', { k });
+        case 'heap':
+            return k === 1 ? t('passQuiz.passHeapBuild') : t('passQuiz.passHeap', { k: k - 1 });
+        case 'shell':
+            return t('passQuiz.passShell', { k, gap: SortEngine.shell.gaps(quiz.start.length, quiz.options.gapSequence)[k - 1] });
+        default:
+            return t('passQuiz.pass', { k });
+    }
+}
 
-        this.currentVal = this.array[index];
-        this.currentIndex = index;
+function optionLabel(select, value) {
+    const option = [...select.options].find(o => o.value === value);
+    return option ? option.textContent : value;
+}
 
-        this.setMessage(`📍 請在「已排序區域」中，點擊 ${this.currentVal} 應該插入的位置`);
-        this.showSlots();
-    }
+// e.g. "收斂：向右 (Right)", in the toolbar's own words
+function describeSetting(key, value) {
+    const el = document.getElementById(RUN_SETTING_CONTROLS[key]);
+    if (!el) return value;
+    const label = document.querySelector(`label[for="${el.id}"]`);
+    // A checkbox is named by the text beside it
+    const text = el.type === 'checkbox' ? el.parentElement.textContent.trim() : optionLabel(el, value);
+    return t('passQuiz.setting', { label: label ? label.textContent : key, value: text });
+}
 
-    showSlots() {
-        ui.board.innerHTML = '';
+// e.g. "順序：遞增 (小 → 大) · 收斂：向右 (Right)"
+function describePassSettings(quiz) {
+    return PASS_QUIZ_SETTINGS.map(key => {
+        const el = document.getElementById(RUN_SETTING_CONTROLS[key]);
+        if (quiz.options[key] === undefined || !el || !settingApplies(el, quiz.type)) return null;
+        return describeSetting(key, quiz.options[key]);
+    }).filter(Boolean).join(' · ');
+}
 
-        // We need to render:
-        // 1. Sorted Region with slots interspersed.
-        // 2. The Selected Card (separate).
-        // 3. The Remaining Unsorted Cards.
+// Sets up a question on `start` with the game's settings. k is picked at random, leaving out the
+// last pass (the sorted array) when there is more than one.
+function dealPassQuiz(game, start) {
+    const options = Object.assign({}, game.run.settings);
+    // A random pivot cannot be worked out on paper
+    const randomPivot = options.pivotRule === 'random';
+    if (randomPivot) options.pivotRule = 'last';
+    const passes = SortEngine.passArrays(game.engine, start, options);
+    App.passQuiz = {
+        type: game.type,
+        engine: game.engine,
+        options,
+        randomPivot,
+        start,
+        passes, // passes[k - 1]: the array after pass k
+        k: 1 + Math.floor(Math.random() * Math.max(1, passes.length - 1)),
+        answer: start.slice(),
+        selected: null, // Answer card waiting for a second one to swap with
+        checked: false,
+        error: null
+    };
+    renderPassQuiz();
+}
 
-        // Use a container for the sorted+slots area
-        const sortArea = document.createElement('div');
-        sortArea.style.display = 'flex';
-        sortArea.style.alignItems = 'center';
-        sortArea.style.gap = '5px';
-        ui.board.appendChild(sortArea);
+// Opens on the current puzzle's starting array. Off wherever hints are, since it gives the game away.
+function showPassQuiz() {
+    const game = App.gameInstance;
+    if (!game || !game.run || !game.hintsEnabled) return;
+    const { array, duplicates } = game.run.settings;
+    dealPassQuiz(game, duplicates ? tagDuplicates(array) : array.slice());
+    ui.passQuiz.hidden = false;
+}
 
-        // Define loop range for sorted region
-        let rangeStart = 0;
-        let rangeEnd = 0;
+// Another question on a new random array of the same size
+function newPassQuiz() {
+    const game = App.gameInstance;
+    if (!game || !game.run) return;
+    const { size, duplicates } = game.run.settings;
+    dealPassQuiz(game, duplicates ? tagDuplicates(game.generateDuplicateArray(size)) : game.generateRandomArray(size));
+}
 
-        if (this.convergence === 'left') {
-            rangeStart = 0;
-            rangeEnd = this.boundary;
-
-            // Generate slots and cards for [0 ... boundary]
-            // Slot 0, Card 0, Slot 1, Card 1, ... , Slot k, Card k, Slot k+1
-            for (let i = rangeStart; i <= rangeEnd; i++) {
-                this.createSlot(sortArea, i); // Slot i (before card i)
-                sortArea.appendChild(this.createCardElement(this.array[i], i, true));
-            }
-            this.createSlot(sortArea, rangeEnd + 1); // Final slot
+function closePassQuiz() {
+    ui.passQuiz.hidden = true;
+    App.passQuiz = null;
+}
 
-        } else {
-            // Right Convergence: Sorted is [boundary ... n-1]
-            rangeStart = this.boundary;
-            rangeEnd = this.array.length - 1;
-
-            // Generate slots and cards for [boundary ... n-1]
-            // Slot boundary, Card boundary, ...
-            for (let i = rangeStart; i <= rangeEnd; i++) {
-                this.createSlot(sortArea, i);
-                sortArea.appendChild(this.createCardElement(this.array[i], i, true));
-            }
-            this.createSlot(sortArea, rangeEnd + 1);
-        }
+function setPassQuizPass(k) {
+    App.passQuiz.k = Number(k);
+    resetPassAnswer();
+}
 
-        // Selected Card Container
-        const selectedContainer = document.createElement('div');
-        selectedContainer.style.marginLeft = '20px';
-        selectedContainer.style.marginRight = '20px'; // spacing
-        selectedContainer.style.display = 'flex';
-        selectedContainer.style.gap = '15px';
-        selectedContainer.style.alignItems = 'center';
+function resetPassAnswer() {
+    const quiz = App.passQuiz;
+    Object.assign(quiz, { answer: quiz.start.slice(), selected: null, checked: false, error: null });
+    renderPassQuiz();
+}
 
-        const selected = this.createCardElement(this.currentVal, this.currentIndex);
+// Clicking two answer cards swaps them
+function pickPassCard(index) {
+    const quiz = App.passQuiz;
+    if (quiz.selected === null) {
+        quiz.selected = index;
+    } else {
+        const other = quiz.selected;
+        [quiz.answer[other], quiz.answer[index]] = [quiz.answer[index], quiz.answer[other]];
+        quiz.selected = null;
+    }
+    Object.assign(quiz, { checked: false, error: null });
+    renderPassQuiz();
+    const card = ui.passQuizBody.querySelector(`.pass-answer [data-index="${index}"]`);
+    if (card) card.focus();
+}
+
+// Tokens naming a starting card (7, 5a, 10♥ or 10H) become that card. Anything else is kept as
+// typed, so it can be reported as a value that was never in the array.
+function parsePassAnswer(text, start, dataType) {
+    const tokens = text.split(/[\s,，]+/).filter(Boolean);
+    if (tokens.length !== start.length) return { error: t('passQuiz.invalidLength', { n: start.length, count: tokens.length }) };
+    return {
+        array: tokens.map(token => {
+            const parsed = parseItem(dataType, token);
+            const item = start.find(candidate => formatValue(candidate) === token || (parsed !== null && SortEngine.sameItem(candidate, parsed)));
+            return item === undefined ? token : item;
+        })
+    };
+}
+
+// Typed answers keep the text as typed, so a mistake in it can be fixed
+function typePassAnswer(text) {
+    const quiz = App.passQuiz;
+    const parsed = parsePassAnswer(text, quiz.start, quiz.options.dataType);
+    if (parsed.array) quiz.answer = parsed.array;
+    Object.assign(quiz, { selected: null, checked: false, error: parsed.error || null });
+    renderPassQuiz(text);
+}
+
+function checkPassQuiz() {
+    const quiz = App.passQuiz;
+    const text = ui.passQuizBody.querySelector('.pass-input').value;
+    const parsed = parsePassAnswer(text, quiz.start, quiz.options.dataType);
+    if (parsed.error) {
+        Object.assign(quiz, { checked: false, error: parsed.error });
+        return renderPassQuiz(text);
+    }
+    Object.assign(quiz, { answer: parsed.array, selected: null, checked: true, error: null });
+    renderPassQuiz();
+}
+
+function sameArray(a, b) {
+    return a.length === b.length && a.every((item, i) => SortEngine.sameItem(item, b[i]));
+}
+
+// Values in `list` that `other` does not account for, e.g. ['5a'] (repeats count separately)
+function unmatchedValues(list, other) {
+    const left = other.map(formatValue);
+    return list.map(formatValue).filter(value => {
+        const at = left.indexOf(value);
+        if (at < 0) return true;
+        left.splice(at, 1);
+        return false;
+    });
+}
+
+// Why a wrong answer differs from the expected array: where it first diverges, then the likeliest
+// slip (a pass too few or too many, the other convergence or order, equal cards swapped)
+function explainPassAnswer(quiz) {
+    const { answer, k } = quiz;
+    const expected = quiz.passes[k - 1];
+    const missing = unmatchedValues(quiz.start, answer);
+    const extra = unmatchedValues(answer, quiz.start);
+    if (missing.length || extra.length) {
+        const details = [
+            missing.length ? t('passQuiz.missing', { values: missing.join(t('sep.list')) }) : null,
+            extra.length ? t('passQuiz.extra', { values: extra.join(t('sep.list')) }) : null
+        ].filter(Boolean).join(t('sep.states'));
+        return [t('passQuiz.notPermutation', { details })];
+    }
+
+    const first = answer.findIndex((item, i) => !SortEngine.sameItem(item, expected[i]));
+    const notes = [t('passQuiz.firstDiff', { position: first + 1, expected: formatValue(expected[first]), actual: formatValue(answer[first]) })];
+    if (answer.every((item, i) => SortEngine.keyOf(item) === SortEngine.keyOf(expected[i]))) {
+        notes.push(t('passQuiz.tagsOnly'));
+        return notes;
+    }
+
+    // The state after some other pass, the closest one to k if several are the same
+    const states = [quiz.start, ...quiz.passes];
+    const matches = states.map((_, j) => j).filter(j => sameArray(answer, states[j]));
+    if (matches.length) {
+        const j = matches.reduce((best, m) => (Math.abs(m - k) < Math.abs(best - k) ? m : best));
+        if (j === 0) notes.push(t('passQuiz.sameAsStart'));
+        else if (j === k - 1) notes.push(t('passQuiz.oneShort', { pass: passLabel(quiz, j) }));
+        else if (j === k + 1) notes.push(t('passQuiz.oneOver', { pass: passLabel(quiz, j) }));
+        else notes.push(t('passQuiz.samePass', { pass: passLabel(quiz, j) }));
+        return notes;
+    }
+
+    // Pass k played with the other convergence or order
+    const flips = {
+        convergence: { left: 'right', right: 'left' },
+        order: { asc: 'desc', desc: 'asc' }
+    };
+    Object.entries(flips).some(([key, flip]) => {
+        const el = document.getElementById(RUN_SETTING_CONTROLS[key]);
+        if (!settingApplies(el, quiz.type)) return false;
+        const value = flip[quiz.options[key]];
+        const other = SortEngine.passArrays(quiz.engine, quiz.start, Object.assign({}, quiz.options, { [key]: value }))[k - 1];
+        if (!other || !sameArray(answer, other)) return false;
+        notes.push(t(key === 'order' ? 'passQuiz.otherOrder' : 'passQuiz.otherConvergence', { value: optionLabel(el, value) }));
+        return true;
+    });
+    return notes;
+}
+
+// A row of mini cards. Answer rows are buttons; `marks` colours each card right or wrong.
+function fillPassCards(container, items, { pick = null, marks = null, selected = null } = {}) {
+    items.forEach((item, i) => {
+        const card = document.createElement(pick ? 'button' : 'div');
+        card.className = 'card mini';
+        renderValue(card, item);
+        if (marks) card.classList.add(marks[i] ? 'sorted' : 'pass-wrong');
+        if (pick) {
+            card.type = 'button';
+            card.dataset.index = i;
+            card.classList.add('clickable');
+            card.classList.toggle('selected', i === selected);
+            card.onclick = () => pick(i);
+        }
+        container.appendChild(card);
+    });
+}
+
+// `typed` keeps the text box as the student left it (see typePassAnswer)
+function renderPassQuiz(typed = null) {
+    const quiz = App.passQuiz;
+    const expected = quiz.passes[quiz.k - 1];
+    const marks = quiz.checked ? quiz.answer.map((item, i) => SortEngine.sameItem(item, expected[i])) : null;
+    const choices = quiz.passes.map((_, j) => `<option value="${j + 1}" ${j + 1 === quiz.k ? 'selected' : ''}>${passLabel(quiz, j + 1)}</option>`).join('');
+
+    let feedback = '';
+    if (quiz.error) {
+        feedback = `<div class="quiz-verdict wrong">❌ ${quiz.error}</div>`;
+    } else if (marks) {
+        const right = marks.filter(Boolean).length;
+        const notes = right === marks.length ? [t('passQuiz.right')] : explainPassAnswer(quiz);
+        feedback = `
+            <p class="quiz-score">${t('passQuiz.score', { right, total: marks.length })}</p>
+            <div class="quiz-verdict ${right === marks.length ? 'right' : 'wrong'}">${notes.map(note => `<p>${note}</p>`).join('')}</div>
+            <h3>${t('passQuiz.trace')}</h3>
+            <div class="pass-trace"></div>`;
+    }
+
+    ui.passQuizBody.innerHTML = `
+        <p class="pass-question">${t('passQuiz.question', { game: t(`game.${quiz.type}`), pass: passLabel(quiz, quiz.k) })}</p>
+        <p class="pass-settings">${describePassSettings(quiz)}</p>
+        ${quiz.randomPivot ? `<p class="pass-settings">${t('passQuiz.randomPivot')}</p>` : ''}
+        <div class="pass-row"><span class="pass-row-label">${t('passQuiz.start')}</span><div class="pass-cards pass-start"></div></div>
+        <label class="pass-picker">${t('passQuiz.picker')}
+            <select onchange="setPassQuizPass(this.value)">${choices}</select>
+        </label>
+        <div class="pass-row"><span class="pass-row-label">${t('passQuiz.answer')}</span><div class="pass-cards pass-answer"></div></div>
+        <input type="text" class="pass-input" aria-label="${t('passQuiz.inputLabel')}" onchange="typePassAnswer(this.value)">
+        <p class="pass-help">${t('passQuiz.help')}</p>
+        ${feedback}`;
+
+    ui.passQuizBody.querySelector('.pass-input').value = typed !== null ? typed : quiz.answer.map(formatValue).join(' ');
+    fillPassCards(ui.passQuizBody.querySelector('.pass-start'), quiz.start);
+    fillPassCards(ui.passQuizBody.querySelector('.pass-answer'), quiz.answer, { pick: pickPassCard, marks, selected: quiz.selected });
+
+    // The worked answer: the array after every pass up to k
+    const trace = ui.passQuizBody.querySelector('.pass-trace');
+    if (!trace) return;
+    [quiz.start, ...quiz.passes.slice(0, quiz.k)].forEach((array, j) => {
+        const row = document.createElement('div');
+        row.className = `pass-row${j === quiz.k ? ' pass-target' : ''}`;
+        row.innerHTML = `<span class="pass-row-label">${j ? passLabel(quiz, j) : t('passQuiz.start')}</span><div class="pass-cards"></div>`;
+        fillPassCards(row.querySelector('.pass-cards'), array);
+        trace.appendChild(row);
+    });
+}
+
+// --- Save & Resume ---
+// A single slot holding the latest unfinished game, written after every move
+const SAVE_KEY = 'sortGame.savedGame';
+const SAVE_VERSION = 3;
+
+function loadSavedGame() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SAVE_KEY));
+        return saved && saved.version === SAVE_VERSION && isGameType(saved.type) ? saved : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function storeSavedGame(saved) {
+    try {
+        localStorage.setItem(SAVE_KEY, JSON.stringify(saved));
+    } catch (e) {
+        // Storage blocked or full: the game goes on, it just cannot be resumed after closing the page
+    }
+}
+
+function clearSavedGame() {
+    localStorage.removeItem(SAVE_KEY);
+    updateResumeBanner();
+}
+
+function resumeSavedGame() {
+    const saved = loadSavedGame();
+    if (!saved || !isGameType(saved.type)) return clearSavedGame();
+    startGame(saved.type, saved);
+}
+
+function updateResumeBanner() {
+    if (!ui.resumeBanner) return;
+    const saved = loadSavedGame();
+    ui.resumeBanner.hidden = !saved;
+    if (!saved) return;
+    ui.resumeBanner.querySelector('.resume-text').innerText = t('menu.resumeText', {
+        title: t(`game.${saved.type}`),
+        steps: saved.history.length,
+        date: new Date(saved.savedAt).toLocaleString(I18n.getLocale())
+    });
+}
+
+// --- Results & Session History ---
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 100) / 10;
+    if (seconds < 60) return t('time.seconds', { seconds });
+    const minutes = Math.floor(seconds / 60);
+    return t('time.minutes', { minutes, seconds: String(Math.round(seconds % 60)).padStart(2, '0') });
+}
+
+// Compact text form of an engine move, e.g. "insert slot=2"
+function describeMove(move) {
+    if (!move) return '-';
+    const params = Object.entries(move)
+        .filter(([key]) => key !== 'type' && key !== 'auto')
+        .map(([key, value]) => `${key}=${value}`);
+    return [move.type, ...params].join(' ');
+}
+
+// Step kinds are stored as message keys (or { key, params }) so old runs follow the language
+function kindLabel(kind) {
+    return typeof kind === 'string' ? t(kind) : t(kind.key, kind.params);
+}
+
+function summarizeRun(run) {
+    const total = run.attempts.length;
+    const correct = run.attempts.filter(a => a.correct).length;
+    const mistakes = {};
+    run.attempts.filter(a => !a.correct).forEach(a => {
+        const kind = kindLabel(a.kind);
+        mistakes[kind] = (mistakes[kind] || 0) + 1;
+    });
+    return {
+        total,
+        correct,
+        accuracy: total ? Math.round((correct / total) * 100) : 100,
+        duration: (run.endedAt || Date.now()) - run.startedAt,
+        mistakes: Object.entries(mistakes).sort((a, b) => b[1] - a[1])
+    };
+}
+
+function showResults(run) {
+    App.resultsRun = run;
+    const summary = run ? summarizeRun(run) : null;
+    let html = '';
+
+    if (run) {
+        const mistakeItems = summary.mistakes.length
+            ? summary.mistakes.map(([kind, count]) => `<li>${t('results.mistakeItem', { kind, count })}</li>`).join('')
+            : `<li>${t('results.noMistakes')}</li>`;
+        const attemptRows = run.attempts.map((a, k) => `
+            <tr class="${a.correct ? '' : 'wrong'}">
+                <td>${k + 1}</td><td>${a.step}</td><td>${kindLabel(a.kind)}</td>
+                <td>${describeMove(a.expected)}</td><td>${describeMove(a.move)}</td>
+                <td>${a.correct ? '✅' : '❌'}${a.assisted ? ' 💡' : ''}</td><td>${formatDuration(a.time)}</td>
+            </tr>`).join('');
+
+        // The current exercise's results lead on to the next one
+        const exercise = App.gameInstance && run === App.gameInstance.run ? currentExercise(run.exercise) : null;
+        const last = exercise && run.exercise + 1 >= App.assignment.exercises.length;
+        html += `
+            <p class="results-game">${t(`game.${run.type}`)}</p>
+            ${exercise ? `<button type="button" class="btn btn-primary results-next" onclick="nextExercise()">${t(last ? 'assignment.finish' : 'assignment.next')}</button>` : ''}
+            ${run.score ? describeScore(run) : ''}
+            <div class="results-stats">
+                <div><strong>${summary.accuracy}%</strong><span>${t('results.accuracy', summary)}</span></div>
+                <div><strong>${formatDuration(summary.duration)}</strong><span>${t('results.duration')}</span></div>
+                <div><strong>${summary.total - summary.correct}</strong><span>${t('results.mistakes')}</span></div>
+            </div>
+            ${run.hints ? `<p class="results-hints">${t('results.hints', { count: run.hints, assisted: run.attempts.filter(a => a.assisted).length })}</p>` : ''}
+            ${run.stability ? `<p class="results-stability">${describeStability(run.stability)}</p>
+            <button type="button" class="btn btn-outline" onclick="showStabilityQuiz()">${t('quiz.open')}</button>` : ''}
+            ${run.completed && run.stats ? describeComplexity(run) : ''}
+            <h3>${t('results.commonMistakes')}</h3>
+            <ul class="results-mistakes">${mistakeItems}</ul>
+            <details>
+                <summary>${t('results.log')}</summary>
+                <table class="results-table">
+                    <thead><tr><th>#</th><th>${t('results.colStep')}</th><th>${t('results.colKind')}</th><th>${t('results.colExpected')}</th><th>${t('results.colMove')}</th><th>${t('results.colResult')}</th><th>${t('results.colTime')}</th></tr></thead>
+                    <tbody>${attemptRows}</tbody>
+                </table>
+            </details>`;
+    }
+
+    const historyRows = App.sessionHistory.map((r, k) => {
+        const s = summarizeRun(r);
+        let status = t(r.demo ? 'history.demo' : (r.completed ? 'history.completed' : 'history.abandoned'));
+        if (r.score && r.completed && !r.demo) status = t('history.score', { score: challengeScore(r.score) });
+        return `<tr><td>${k + 1}</td><td>${t(`game.${r.type}`)}</td><td>${status}</td><td>${s.accuracy}%</td><td>${s.total - s.correct}</td><td>${formatDuration(s.duration)}</td></tr>`;
+    }).join('');
+    html += `
+        <h3>${t('history.title')}</h3>
+        <table class="results-table">
+            <thead><tr><th>#</th><th>${t('history.colGame')}</th><th>${t('history.colStatus')}</th><th>${t('history.colAccuracy')}</th><th>${t('history.colMistakes')}</th><th>${t('history.colTime')}</th></tr></thead>
+            <tbody>${historyRows || `<tr><td colspan="6">${t('history.empty')}</td></tr>`}</tbody>
+        </table>`;
+
+    ui.resultsBody.innerHTML = html;
+    ui.results.hidden = false;
+}
+
+function closeResults() {
+    ui.results.hidden = true;
+}
+
+// --- Operation Counters & Complexity ---
+// The engines count comparisons, swaps and single-element moves in state.stats (see engine.js).
+// COMPLEXITY gives the textbook best/average/worst counts for n cards, counted the same way;
+// null where there is no simple formula. Quick Sort's formulas are Lomuto's n - 1 comparisons per
+// partition; Hoare's scans and the three comparisons of median-of-three have none, and Heap and
+// Shell Sort only have upper bounds for the worst case.
+const STATS_KEY = 'sortGame.stats';
+const STATS_LIMIT = 300;
+
+function triangle(n) {
+    return n * (n - 1) / 2;
+}
+
+function harmonic(n) {
+    let sum = 0;
+    for (let k = 1; k <= n; k++) sum += 1 / k;
+    return sum;
+}
+
+// Binary insertion: a search over k sorted cards makes ⌊log2(k + 1)⌋ to ⌈log2(k + 1)⌉ comparisons
+function binaryInsertionCounts(n) {
+    let best = 0;
+    let worst = 0;
+    for (let k = 1; k < n; k++) {
+        best += Math.floor(Math.log2(k + 1));
+        worst += Math.ceil(Math.log2(k + 1));
+    }
+    return { best, average: null, worst };
+}
+
+function exactly(value) {
+    return { best: value, average: value, worst: value };
+}
+
+// Top-down merge sort splits n into ceil(n/2) + floor(n/2), as the engine does
+function mergeCounts(n) {
+    if (n < 2) return { best: 0, average: 0, worst: 0, moves: 0 };
+    const a = Math.ceil(n / 2);
+    const b = Math.floor(n / 2);
+    const left = mergeCounts(a);
+    const right = mergeCounts(b);
+    return {
+        best: left.best + right.best + Math.min(a, b),
+        average: left.average + right.average + a + b - a / (b + 1) - b / (a + 1),
+        worst: left.worst + right.worst + n - 1,
+        moves: left.moves + right.moves + n
+    };
+}
+
+function quickCounts(n, settings) {
+    if (settings.scheme === 'hoare' || settings.pivotRule === 'median') return { best: null, average: null, worst: null };
+    const best = [0, 0];
+    const average = [0, 0];
+    for (let m = 2; m <= n; m++) {
+        best[m] = m - 1 + best[Math.floor((m - 1) / 2)] + best[Math.ceil((m - 1) / 2)];
+        average[m] = m - 1 + 2 * average.reduce((sum, v) => sum + v, 0) / m;
+    }
+    return { best: best[n], average: average[n], worst: triangle(n) };
+}
+
+// Building costs at most two comparisons per level below each node (< 2n), then each
+// extraction sifts the new root down a heap of m cards
+function heapWorst(n) {
+    let total = 2 * n;
+    for (let m = 2; m < n; m++) total += 2 * Math.floor(Math.log2(m));
+    return total;
+}
+
+// Best: every gap pass finds its chains already in order. Worst: every chain fully reversed.
+function shellCounts(n, sequence) {
+    let best = 0;
+    let worst = 0;
+    SortEngine.shell.gaps(n, sequence).forEach(h => {
+        best += n - h;
+        for (let r = 0; r < h; r++) worst += triangle(Math.ceil((n - r) / h));
+    });
+    return { best, average: null, worst };
+}
+
+const COMPLEXITY = {
+    // The swapped flag ends a sorted input after one pass; the average then has no simple form
+    bubble: (n, settings) => ({
+        comparisons: settings.variant && settings.variant !== 'classic'
+            ? { best: n - 1, average: null, worst: triangle(n) }
+            : exactly(triangle(n)),
+        swaps: { best: 0, average: triangle(n) / 2, worst: triangle(n) }
+    }),
+    insertion: (n, settings) => ({
+        comparisons: settings.mode === 'binary'
+            ? binaryInsertionCounts(n)
+            : { best: n - 1, average: triangle(n) / 2 + n - harmonic(n), worst: triangle(n) },
+        moves: { best: n - 1, average: triangle(n) / 2 + n - 1, worst: triangle(n) + n - 1 }
+    }),
+    selection: n => ({
+        comparisons: exactly(triangle(n)),
+        swaps: { best: 0, average: n - harmonic(n), worst: n - 1 }
+    }),
+    merge: n => {
+        const counts = mergeCounts(n);
+        return { comparisons: counts, moves: exactly(counts.moves) };
+    },
+    quick: (n, settings) => ({ comparisons: quickCounts(n, settings) }),
+    heap: n => ({ comparisons: { best: null, average: null, worst: heapWorst(n) } }),
+    shell: (n, settings) => ({ comparisons: shellCounts(n, settings.gapSequence) }),
+    counting: n => ({ moves: exactly(2 * n) }),
+    radix: n => ({ moves: exactly(4 * n) })
+};
+
+// Settings that change the counts: the size chart only compares runs that share them
+const COUNTED_SETTINGS = {
+    bubble: ['variant'],
+    insertion: ['mode'],
+    quick: ['scheme', 'pivotRule'],
+    shell: ['gapSequence']
+};
+
+function countedSettings(type, settings) {
+    const picked = {};
+    (COUNTED_SETTINGS[type] || []).forEach(key => {
+        picked[key] = settings[key];
+    });
+    return picked;
+}
+
+function loadStatsHistory() {
+    try {
+        const entries = JSON.parse(localStorage.getItem(STATS_KEY));
+        return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Keeps the counts of every completed run so the size chart can show past puzzles
+function recordStats(run) {
+    const entries = loadStatsHistory();
+    const settings = countedSettings(run.type, run.settings);
+    entries.push(Object.assign({ type: run.type, n: run.settings.size, at: run.endedAt, settings }, run.stats));
+    try {
+        localStorage.setItem(STATS_KEY, JSON.stringify(entries.slice(-STATS_LIMIT)));
+    } catch (e) {
+        // Storage blocked or full: this run is still charted, it just is not kept for later ones
+    }
+}
+
+// One bar per counted operation: the run's count against the best/average/worst markers
+function describeComplexity(run) {
+    const n = run.settings.size;
+    const theory = COMPLEXITY[run.type](n, run.settings);
+    const format = value => value === null ? t('complexity.none') : String(Math.round(value));
+    const rows = Object.entries(theory).map(([metric, range]) => {
+        const actual = run.stats[metric];
+        const scale = Math.max(actual, ...Object.values(range).filter(v => v !== null)) || 1;
+        const marks = ['best', 'average', 'worst']
+            .filter(key => range[key] !== null)
+            .map(key => `<span class="mark mark-${key}" style="left: ${(range[key] / scale) * 100}%" title="${t(`complexity.${key}`)}"></span>`)
+            .join('');
+        return `
+            <div class="complexity-row">
+                <div class="complexity-head">
+                    <strong>${t('complexity.count', { metric: t(`stats.${metric}`), count: actual })}</strong>
+                    <span>${['best', 'average', 'worst'].map(key => `${t(`complexity.${key}`)} ${format(range[key])}`).join(' · ')}</span>
+                </div>
+                <div class="complexity-track">
+                    <span class="bar" style="width: ${(actual / scale) * 100}%"></span>
+                    ${marks}
+                </div>
+            </div>`;
+    }).join('');
+
+    return `
+        <h3>${t('complexity.title', { n })}</h3>
+        <div class="complexity-legend">
+            <span class="legend-yours">${t('complexity.yours')}</span>
+            <span class="legend-best">${t('complexity.best')}</span>
+            <span class="legend-average">${t('complexity.average')}</span>
+            <span class="legend-worst">${t('complexity.worst')}</span>
+        </div>
+        ${rows}
+        ${sizeChart(run, Object.keys(theory)[0])}
+        <p class="complexity-note">${t('complexity.note')}</p>`;
+}
+
+// SVG line chart of one count over n = 5-20: the theory curves for the run's settings,
+// past completed puzzles of the same game and counted settings, and this run
+function sizeChart(run, metric) {
+    const width = 420;
+    const height = 220;
+    const pad = { left: 40, right: 12, top: 12, bottom: 30 };
+    const sizes = [];
+    for (let n = SIZE_MIN; n <= SIZE_MAX; n++) sizes.push(n);
+
+    const curves = { best: [], average: [], worst: [] };
+    sizes.forEach(n => {
+        const range = COMPLEXITY[run.type](n, run.settings)[metric];
+        Object.keys(curves).forEach(key => {
+            if (range[key] !== null) curves[key].push([n, range[key]]);
+        });
+    });
+    const counted = countedSettings(run.type, run.settings);
+    const past = loadStatsHistory().filter(e => e.type === run.type && e.at !== run.endedAt
+        && Object.keys(counted).every(key => (e.settings || {})[key] === counted[key]));
+    const values = [run.stats[metric], ...past.map(e => e[metric]), ...Object.values(curves).flat().map(([, v]) => v)];
+    const top = Math.max(...values) || 1;
+
+    const x = n => pad.left + ((n - SIZE_MIN) / (SIZE_MAX - SIZE_MIN)) * (width - pad.left - pad.right);
+    const y = v => height - pad.bottom - (v / top) * (height - pad.top - pad.bottom);
+    const lines = Object.entries(curves)
+        .filter(([, points]) => points.length)
+        .map(([key, points]) => `<polyline class="curve-${key}" points="${points.map(([n, v]) => `${x(n).toFixed(1)},${y(v).toFixed(1)}`).join(' ')}"><title>${t(`complexity.${key}`)}</title></polyline>`)
+        .join('');
+    const dots = past.map(e => `<circle class="dot-past" cx="${x(e.n)}" cy="${y(e[metric])}" r="3"><title>n = ${e.n}: ${e[metric]}</title></circle>`).join('');
+    const ticks = [SIZE_MIN, 10, 15, SIZE_MAX]
+        .map(n => `<text x="${x(n)}" y="${height - 10}" text-anchor="middle">${n}</text>`).join('');
+
+    return `
+        <h3>${t('complexity.bySize', { metric: t(`stats.${metric}`) })}</h3>
+        <svg class="size-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${t('complexity.bySize', { metric: t(`stats.${metric}`) })}">
+            <line class="axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}"></line>
+            <line class="axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}"></line>
+            <text x="${pad.left - 6}" y="${pad.top + 4}" text-anchor="end">${Math.round(top)}</text>
+            <text x="${pad.left - 6}" y="${height - pad.bottom}" text-anchor="end">0</text>
+            ${ticks}
+            <text x="${width - pad.right}" y="${height - 10}" text-anchor="end">n</text>
+            ${lines}
+            ${dots}
+            <circle class="dot-current" cx="${x(run.settings.size)}" cy="${y(run.stats[metric])}" r="5"><title>${t('complexity.thisRun')}: ${run.stats[metric]}</title></circle>
+        </svg>
+        <div class="complexity-legend">
+            <span class="legend-past">${t('complexity.pastRuns')}</span>
+            <span class="legend-yours">${t('complexity.thisRun')}</span>
+        </div>`;
+}
+
+// --- Challenge Mode & Leaderboard ---
+const SCORING = {
+    correct: 10,          // Every accepted move
+    wrong: -20,           // Wrong swap/next, slot, pick... also ends the streak
+    streakEvery: 5,       // A bonus after every 5 correct moves in a row
+    streakBonus: 25,
+    parPerMove: 3000,     // Time allowance (ms) per correct move
+    timeBonus: 2          // Points per second left of the allowance
+};
+const LEADERBOARD_KEY = 'sortGame.leaderboard';
+const LEADERBOARD_SIZE = 10;
+
+function setChallengeMode(on) {
+    App.challenge = on;
+}
+
+function challengeScore(score) {
+    return Math.max(0, score.points + score.bonus + score.penalty + score.timeBonus);
+}
+
+function formatClock(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function describeScore(run) {
+    const s = run.score;
+    let placing = '';
+    if (run.completed) {
+        if (run.demo) placing = t('score.demo');
+        else if (run.settings.custom) placing = t('score.custom');
+        else if (s.rank) placing = t('score.rank', { rank: s.rank });
+        else placing = t('score.unranked', { size: LEADERBOARD_SIZE });
+    }
+    return `
+        <div class="results-score">
+            <strong>${t('score.total', { score: challengeScore(s) })}</strong>
+            <ul>
+                <li>${t('score.points', { points: s.points })}</li>
+                <li>${t('score.bonus', { bonus: s.bonus, streak: s.bestStreak })}</li>
+                <li>${t('score.penalty', { penalty: s.penalty })}</li>
+                <li>${t('score.timeBonus', { bonus: s.timeBonus })}</li>
+            </ul>
+            ${placing ? `<p>${placing}</p>` : ''}
+        </div>`;
+}
+
+function loadLeaderboard() {
+    try {
+        return JSON.parse(localStorage.getItem(LEADERBOARD_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveLeaderboard(board) {
+    try {
+        localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(board));
+    } catch (e) {
+        // Storage blocked or full: the results still show this score and its place
+    }
+}
+
+// One board per algorithm, size and order, plus convergence and the settings that change the counts
+// (COUNTED_SETTINGS) for the games that have them, e.g. "quick|8|asc|scheme=hoare|pivotRule=median"
+function leaderboardKey(run) {
+    const s = run.settings;
+    const parts = [run.type, s.size, s.order];
+    if (settingApplies(document.getElementById('select-convergence'), run.type)) parts.push(s.convergence);
+    // Words, cards and records are a different puzzle from numbers, as is the key records sort by
+    if (s.dataType && s.dataType !== 'number') parts.push(`dataType=${s.dataType}`);
+    if (s.dataType === 'record') parts.push(`primaryKey=${s.primaryKey}`);
+    Object.entries(countedSettings(run.type, s)).forEach(([key, value]) => parts.push(`${key}=${value}`));
+    // Scanning card by card counts the same as selecting the target, but takes far more steps
+    if (s.scan) parts.push('scan=1');
+    return parts.join('|');
+}
+
+function describeLeaderboard(key) {
+    const [type, size, order, ...rest] = key.split('|');
+    const parts = [t(`game.${type}`), t('leaderboard.size', { size }), t(`leaderboard.${order}`)];
+    rest.forEach(part => {
+        const [setting, value] = part.split('=');
+        parts.push(value === undefined ? t(`leaderboard.${setting}`) : describeSetting(setting, value));
+    });
+    return parts.join(' · ');
+}
+
+// Adds a finished challenge run. Returns its rank, or 0 when it did not make the board.
+function recordScore(run) {
+    const board = loadLeaderboard();
+    const key = leaderboardKey(run);
+    const entry = {
+        score: challengeScore(run.score),
+        time: run.endedAt - run.startedAt,
+        mistakes: run.attempts.filter(a => !a.correct).length,
+        date: run.endedAt
+    };
+    const entries = (board[key] || []).concat(entry)
+        .sort((a, b) => b.score - a.score || a.time - b.time)
+        .slice(0, LEADERBOARD_SIZE);
+    board[key] = entries;
+    saveLeaderboard(board);
+    return entries.indexOf(entry) + 1;
+}
+
+function showLeaderboard() {
+    const board = loadLeaderboard();
+    const keys = Object.keys(board).sort();
+    ui.leaderboardBody.innerHTML = keys.length ? keys.map(key => {
+        const rows = board[key].map((e, k) => `
+            <tr><td>${k + 1}</td><td>${e.score}</td><td>${formatDuration(e.time)}</td><td>${e.mistakes}</td><td>${new Date(e.date).toLocaleDateString(I18n.getLocale())}</td></tr>`).join('');
+        return `
+            <h3>${describeLeaderboard(key)}</h3>
+            <table class="results-table">
+                <thead><tr><th>#</th><th>${t('leaderboard.colScore')}</th><th>${t('leaderboard.colTime')}</th><th>${t('leaderboard.colMistakes')}</th><th>${t('leaderboard.colDate')}</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }).join('') : `<p class="leaderboard-empty">${t('leaderboard.empty')}</p>`;
+    ui.leaderboard.hidden = false;
+}
+
+function closeLeaderboard() {
+    ui.leaderboard.hidden = true;
+}
+
+function clearLeaderboard() {
+    if (!confirm(t('leaderboard.confirmClear'))) return;
+    localStorage.removeItem(LEADERBOARD_KEY);
+    showLeaderboard();
+}
+
+// --- Teacher Assignments ---
+// An assignment file lists exercises that students play in order. Each exercise is written into
+// the toolbar and started with startGame, so saving, sharing and results work as for any game.
+// Per-exercise results (time, mistakes, completed) are kept in localStorage until it is ended.
+const ASSIGNMENT_KEY = 'sortGame.assignment';
+
+// Settings an exercise may leave out
+const EXERCISE_DEFAULTS = {
+    size: SIZE_MIN,
+    order: 'asc',
+    convergence: 'right',
+    scheme: 'lomuto',
+    pivotRule: 'last',
+    gapSequence: 'shell',
+    variant: 'classic',
+    mode: 'slot',
+    scan: false,
+    dataType: 'number',
+    primaryKey: 'score',
+    duplicates: false,
+    hints: true
+};
+
+const EXERCISE_CHOICES = {
+    order: ['asc', 'desc'],
+    convergence: ['left', 'right'],
+    scheme: ['lomuto', 'hoare'],
+    pivotRule: ['last', 'first', 'median', 'random'],
+    gapSequence: ['shell', 'knuth', 'ciura'],
+    variant: ['classic', 'optimized', 'cocktail'],
+    mode: ['slot', 'step', 'binary'],
+    dataType: ['number', 'word', 'card', 'record'],
+    primaryKey: ['score', 'name']
+};
+
+// Checks an assignment file and fills in defaults. Throws with a message for the teacher.
+function parseAssignment(data) {
+    if (!data || !Array.isArray(data.exercises) || !data.exercises.length) throw new Error(t('assignment.errorEmpty'));
+    const exercises = data.exercises.map((raw, k) => {
+        const index = k + 1;
+        if (!raw || !isGameType(raw.game)) throw new Error(t('assignment.errorGame', { index, game: raw && raw.game }));
+        const exercise = Object.assign({}, EXERCISE_DEFAULTS, raw);
+        Object.entries(EXERCISE_CHOICES).forEach(([key, choices]) => {
+            if (!choices.includes(exercise[key])) throw new Error(t('assignment.errorSetting', { index, key }));
+        });
+        if (raw.array !== undefined) {
+            // Words, cards and records are written as they are typed in the toolbar, e.g. "10H" or "Amy:85"
+            const type = DATA_TYPES[exercise.dataType];
+            const valid = Array.isArray(raw.array)
+                && raw.array.every(v => (type ? typeof v === 'string' && type.parse(v) !== null : Number.isInteger(v)))
+                && raw.array.length >= SIZE_MIN && raw.array.length <= SIZE_MAX;
+            if (!valid) throw new Error(t('assignment.errorArray', { index, min: SIZE_MIN, max: SIZE_MAX }));
+            // Numbers must lie in the game's range, as they must when typed into the toolbar
+            const { min, max } = GAME_TYPES[raw.game]().valueRange();
+            if (!type && raw.array.some(v => v < min || v > max)) throw new Error(t('assignment.errorValue', { index, min, max }));
+        }
+        exercise.size = Math.min(SIZE_MAX, Math.max(SIZE_MIN, parseInt(exercise.size) || SIZE_MIN));
+        exercise.seed = raw.seed === undefined ? '' : String(raw.seed);
+        exercise.hints = exercise.hints !== false;
+        return exercise;
+    });
+    return { title: String(data.title || t('assignment.untitled')), exercises };
+}
+
+function loadAssignment() {
+    try {
+        return JSON.parse(localStorage.getItem(ASSIGNMENT_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+function storeAssignment() {
+    try {
+        if (App.assignment) localStorage.setItem(ASSIGNMENT_KEY, JSON.stringify(App.assignment));
+        else localStorage.removeItem(ASSIGNMENT_KEY);
+    } catch (e) {
+        // Storage blocked or full: the assignment carries on, but reloading the page loses its progress
+    }
+}
+
+function currentExercise(index) {
+    if (!App.assignment || index === null || index === undefined) return null;
+    return App.assignment.exercises[index] || null;
+}
+
+// File input handler (menu "📚 載入作業")
+function loadAssignmentFile(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        let assignment;
+        try {
+            assignment = parseAssignment(JSON.parse(reader.result));
+        } catch (e) {
+            alert(t('assignment.invalid', { reason: e.message }));
+            return;
+        }
+        beginAssignment(assignment);
+    };
+    reader.readAsText(file);
+}
+
+function beginAssignment(assignment) {
+    if (App.assignment && !confirm(t('assignment.confirmReplace'))) return;
+    const student = prompt(t('assignment.namePrompt'), '');
+    if (student === null) return;
+    App.assignment = Object.assign(assignment, {
+        student: student.trim(),
+        current: 0,
+        results: assignment.exercises.map(() => ({ time: 0, mistakes: 0, attempts: 0, completed: false, demo: false, hints: 0 }))
+    });
+    storeAssignment();
+    startExercise(0);
+}
+
+// Writes the exercise into the toolbar and deals it
+function startExercise(index) {
+    const exercise = currentExercise(index);
+    if (!exercise) return;
+    App.assignment.current = index;
+    storeAssignment();
+    Object.entries(RUN_SETTING_CONTROLS).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if (el) writeSetting(el, exercise[key]);
+    });
+    document.getElementById('input-array').value = exercise.array ? exercise.array.join(' ') : '';
+    document.getElementById('input-seed').value = exercise.seed;
+    startGame(exercise.game, null, index);
+}
+
+// Moves on even if the exercise is unfinished; after the last one the summary is shown in the menu
+function nextExercise() {
+    const assignment = App.assignment;
+    if (!assignment) return;
+    closeResults();
+    if (assignment.current + 1 < assignment.exercises.length) return startExercise(assignment.current + 1);
+    goToMenu();
+}
+
+// Adds a finished or abandoned run to its exercise's totals
+function recordExerciseRun(run) {
+    const assignment = App.assignment;
+    if (!assignment || run.exercise === null || run.exercise === undefined) return;
+    const result = assignment.results[run.exercise];
+    if (!result) return;
+    const summary = summarizeRun(run);
+    result.time += summary.duration;
+    result.mistakes += summary.total - summary.correct;
+    result.attempts += summary.total;
+    result.completed = result.completed || run.completed;
+    result.demo = result.demo || !!run.demo;
+    result.hints = (result.hints || 0) + (run.hints || 0);
+    storeAssignment();
+}
+
+// Results per exercise, including the run still in progress
+function assignmentResults() {
+    const assignment = App.assignment;
+    const game = App.gameInstance;
+    const live = game && game.run && !game.run.endedAt ? game.run : null;
+    return assignment.exercises.map((exercise, k) => {
+        const result = Object.assign({}, assignment.results[k]);
+        if (live && live.exercise === k) {
+            const summary = summarizeRun(live);
+            result.time += summary.duration;
+            result.mistakes += summary.total - summary.correct;
+            result.attempts += summary.total;
+            result.demo = result.demo || !!live.demo;
+            result.hints = (result.hints || 0) + (live.hints || 0);
+        }
+        return {
+            student: assignment.student,
+            exercise: k + 1,
+            game: exercise.game,
+            completed: result.completed,
+            timeSeconds: Math.round(result.time / 1000),
+            mistakes: result.mistakes,
+            attempts: result.attempts,
+            usedDemo: result.demo,
+            hintsUsed: result.hints || 0,
+            hintsAllowed: exercise.hints
+        };
+    });
+}
+
+// Text starting with = + - @ (or a tab or CR before one) would run as a formula in a spreadsheet,
+// so student names and titles that do get a leading apostrophe
+function csvField(value) {
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadFile(name, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers (Firefox) have not started reading the blob when click() returns
+    setTimeout(() => URL.revokeObjectURL(url));
+}
+
+// Column names and values stay in English so gradebooks can import any class's file
+function exportAssignment(format) {
+    const assignment = App.assignment;
+    if (!assignment) return;
+    const rows = assignmentResults();
+    const base = `${assignment.title}-${assignment.student || 'student'}`.replace(/[\\/:*?"<>|\s]+/g, '_');
+    if (format === 'json') {
+        const data = { title: assignment.title, student: assignment.student, exportedAt: new Date().toISOString(), results: rows };
+        return downloadFile(`${base}.json`, 'application/json', JSON.stringify(data, null, 2));
+    }
+    const columns = Object.keys(rows[0]);
+    const lines = [columns.join(','), ...rows.map(row => columns.map(key => csvField(row[key])).join(','))];
+    // The BOM lets spreadsheet programs read the names as UTF-8
+    downloadFile(`${base}.csv`, 'text/csv', '\uFEFF' + lines.join('\n'));
+}
+
+// Picks the exercise up where it was left: the saved game if it belongs to it, else a fresh deal
+function continueAssignment() {
+    const assignment = App.assignment;
+    if (!assignment) return;
+    const saved = loadSavedGame();
+    if (saved && saved.exercise === assignment.current) return resumeSavedGame();
+    startExercise(assignment.current);
+}
+
+function endAssignment() {
+    if (!App.assignment || !confirm(t('assignment.confirmEnd'))) return;
+    App.assignment = null;
+    storeAssignment();
+    if (App.gameInstance) {
+        App.gameInstance.exercise = null;
+        if (App.gameInstance.run) App.gameInstance.run.exercise = null;
+    }
+    updateAssignmentPanel();
+    updateAssignmentBar();
+}
+
+// Menu overview: every exercise with its status, plus resume and export
+function updateAssignmentPanel() {
+    if (!ui.assignmentPanel) return;
+    const assignment = App.assignment;
+    ui.assignmentPanel.hidden = !assignment;
+    if (!assignment) return;
+    const rows = assignmentResults().map((row, k) => {
+        const status = row.completed ? t('assignment.done') : (row.attempts ? t('assignment.started') : t('assignment.todo'));
+        const current = k === assignment.current ? ' class="current"' : '';
+        return `<tr${current}><td>${row.exercise}</td><td>${t(`game.${row.game}`)}</td><td>${status}</td><td>${formatDuration(row.timeSeconds * 1000)}</td><td>${row.mistakes}</td></tr>`;
+    }).join('');
+    ui.assignmentPanel.querySelector('.assignment-heading').innerText = t('assignment.heading', {
+        title: assignment.title,
+        student: assignment.student || t('assignment.anonymous')
+    });
+    ui.assignmentPanel.querySelector('.assignment-table').innerHTML = `
+        <thead><tr><th>#</th><th>${t('history.colGame')}</th><th>${t('history.colStatus')}</th><th>${t('history.colTime')}</th><th>${t('history.colMistakes')}</th></tr></thead>
+        <tbody>${rows}</tbody>`;
+}
+
+// Game view: which exercise is being played and the button to the next one
+function updateAssignmentBar() {
+    if (!ui.assignmentBar) return;
+    const game = App.gameInstance;
+    const exercise = game ? currentExercise(game.exercise) : null;
+    ui.assignmentBar.hidden = !exercise;
+    if (!exercise) return;
+    const assignment = App.assignment;
+    const last = game.exercise + 1 >= assignment.exercises.length;
+    ui.assignmentBar.querySelector('.assignment-progress').innerText = t('assignment.progress', {
+        title: assignment.title,
+        index: game.exercise + 1,
+        total: assignment.exercises.length
+    });
+    const next = ui.assignmentBar.querySelector('.assignment-next');
+    next.innerText = t(last ? 'assignment.finish' : 'assignment.next');
+    next.classList.toggle('btn-primary', game.isComplete);
+    next.classList.toggle('btn-outline', !game.isComplete);
+}
+
+// --- Keyboard & Screen Reader Support ---
+// Board elements the player can click are also keyboard buttons: Tab or the arrow keys move
+// between them and Enter/Space activates (see the keydown listeners at the end of the file)
+function setAction(el, handler, label = null) {
+    el.onclick = handler;
+    el.tabIndex = 0;
+    el.setAttribute('role', 'button');
+    if (label) el.setAttribute('aria-label', label);
+}
+
+function clearAction(el) {
+    el.onclick = null;
+    el.removeAttribute('tabindex');
+    el.removeAttribute('role');
+}
+
+// Card classes that carry meaning, spoken as t('state.<class>') (and drawn as a symbol, see style.css)
+const CARD_STATES = ['comparing', 'selected', 'pivot', 'sorted', 'consumed', 'inactive'];
+
+function describeCard(el) {
+    const states = CARD_STATES.filter(cls => el.classList.contains(cls)).map(cls => t(`state.${cls}`));
+    return [el.textContent.trim(), ...states].join(t('sep.states'));
+}
+
+// Keeps every card's accessible name in sync with its state classes
+function labelCards() {
+    ui.board.querySelectorAll('.card, .tree-node').forEach(el => {
+        el.setAttribute('aria-label', describeCard(el));
+    });
+}
+
+// Speaks the instruction followed by the highlighted cards. Deferred so the board
+// has been redrawn by the time the summary is read.
+let announceTimer = null;
+function announce(msg) {
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+        if (!ui.liveRegion) return;
+        const cards = [...ui.board.querySelectorAll('.card')];
+        const parts = [msg];
+        ['comparing', 'selected', 'pivot'].forEach(cls => {
+            const values = cards.filter(c => c.classList.contains(cls)).map(c => c.textContent.trim());
+            if (values.length) parts.push(t('sr.states', { label: t(`state.${cls}`), values: values.join(t('sep.list')) }));
+        });
+        const sorted = cards.filter(c => c.classList.contains('sorted')).length;
+        if (sorted) parts.push(t('sr.sortedCount', { count: sorted }));
+        ui.liveRegion.textContent = parts.join(' ');
+    }, 0);
+}
+
+new MutationObserver(labelCards).observe(ui.board, { childList: true, subtree: true, attributes: true, attributeFilter: ['class'] });
+
+// --- Pseudocode Panel ---
+// `code` comes from SortGame.pseudocode(): the lines for the current order and convergence,
+// the indices of the lines the current step carries out, and the loop variables at that step.
+// The code is the same in every language; only the panel heading is translated.
+function showPseudocode(code) {
+    if (!ui.pseudoCode) return;
+    ui.pseudoCode.innerHTML = '';
+    ui.pseudoVars.innerHTML = '';
+    if (!code) return;
+
+    code.lines.forEach((line, index) => {
+        const li = document.createElement('li');
+        li.textContent = line;
+        if (code.active.includes(index)) {
+            li.classList.add('active');
+            li.setAttribute('aria-current', 'step');
+        }
+        ui.pseudoCode.appendChild(li);
+    });
+    Object.entries(code.vars).forEach(([name, value]) => {
+        const item = document.createElement('code');
+        item.textContent = `${name} = ${value}`;
+        ui.pseudoVars.appendChild(item);
+    });
+}
+
+// Nudge, highlight, answer (see SortGame.raiseHint)
+const HINT_LEVELS = 3;
+
+// --- Base Game Class ---
+// Algorithm state lives in `this.state` and is advanced only through `this.engine` (see engine.js);
+// the game classes handle rendering and player input on top of it.
+class SortGame {
+    constructor(type, engine) {
+        this.type = type; // Key into GAME_TYPES and the game.* messages
+        this.engine = engine;
+        this.state = null;
+        this.isComplete = false;
+        this.stepDelay = App.stepDelay;
+        this.sortOrder = 'asc'; // 'asc' | 'desc'
+        this.convergence = 'right'; // 'left' | 'right'
+        this.dataType = 'number'; // Key into DATA_TYPES, or 'number'
+        this.run = null; // Attempt log of the current run (see beginRun)
+        this.challenge = false; // Scored run: no undo or demo
+        this.exercise = null; // Index of the assignment exercise this game plays (see startGame)
+        this.clockTimer = null;
+        this.lastActionAt = 0;
+        this.history = []; // States before each player move (undo)
+        this.future = []; // States undone since the last move (redo)
+        this.timers = []; // Pending step transitions, cancelled on undo/redo/reset
+        this.demoPlaying = false;
+        this.demoTimer = null; // Not in this.timers: the demo waits for those to finish
+        this.demoSettled = false;
+        this.autoplaying = false; // True while the demo performs a move
+        this.hintProgress = null; // { step, level, mistakes } for the current step (see stepHint)
+    }
+
+    get array() {
+        return this.state ? this.state.array : [];
+    }
+
+    init() {
+        console.log("Initializing Game: " + this.title);
+
+        // An invalid custom array leaves the current game untouched
+        const custom = this.readCustomArray();
+        if (custom.error) {
+            this.setMessage(`❌ ${custom.error}`, 'error');
+            return;
+        }
+        this.dataType = this.readDataType();
+
+        this.pauseDemo();
+        this.cancelTimers();
+        if (App.gameInstance === this) clearSavedGame(); // A new puzzle replaces the saved one
+        // Clear controls
+        ui.controls.innerHTML = '';
+
+        // Read size from input
+        const sizeInput = document.getElementById('input-size');
+        let size = 5;
+        if (sizeInput) {
+            size = parseInt(sizeInput.value);
+            // Validation constraint
+            if (isNaN(size) || size < SIZE_MIN) size = SIZE_MIN;
+            if (size > SIZE_MAX) size = SIZE_MAX;
+            if (custom.array) size = custom.array.length;
+            // Update UI
+            sizeInput.value = size;
+        }
+
+        // Read Seed: a blank seed gets a random one, shown so the puzzle can be reproduced
+        const seedInput = document.getElementById('input-seed');
+        const seedText = seedInput ? seedInput.value.trim() : '';
+        this.seed = seedText || String(Math.floor(Math.random() * 1000000));
+        this.random = seededRandom(seedFromText(this.seed));
+        this.showSeed();
+
+        // Read Sort Settings
+        const orderSelect = document.getElementById('select-order');
+        const convSelect = document.getElementById('select-convergence');
+        this.sortOrder = orderSelect ? orderSelect.value : 'asc';
+        this.convergence = convSelect ? convSelect.value : 'right';
+
+        console.log(`Generating array size:${size}, order:${this.sortOrder}, conv:${this.convergence}`);
+        const dupsToggle = document.getElementById('toggle-duplicates');
+        const duplicates = !!(dupsToggle && dupsToggle.checked);
+        const options = this.engineOptions();
+        const array = custom.array || (duplicates ? this.generateDuplicateArray(size) : this.generateRandomArray(size));
+        this.state = this.engine.create(duplicates ? tagDuplicates(array) : array, options);
+        this.isComplete = this.engine.isComplete(this.state);
+        this.history = [];
+        this.future = [];
+        this.challenge = App.challenge;
+        this.hintProgress = null;
+        this.beginRun(Object.assign({ size }, options, { seed: this.seed, array: array.slice(), custom: !!custom.array, duplicates }));
+        this.render();
+        this.startLogic();
+        this.updateHistoryButtons();
+        this.updateCounters();
+        this.showHint();
+        if (App.gameInstance === this) syncUrl();
+    }
+
+    get title() {
+        return t(`game.${this.type}`);
+    }
+
+    // Assignment exercises can turn off the demo (and any other help)
+    get hintsAllowed() {
+        const exercise = currentExercise(this.exercise);
+        return !exercise || exercise.hints;
+    }
+
+    // Moves made in an unfinished puzzle: leaving asks first (see confirmLeave)
+    get hasProgress() {
+        return !this.isComplete && (this.history.length > 0 || this.future.length > 0);
+    }
+
+    // Values the game's random arrays use; custom arrays must stay inside it
+    valueRange() {
+        return { min: 1, max: 99 };
+    }
+
+    // Data type chosen in the toolbar; games without the setting (counting, radix) only sort numbers
+    readDataType() {
+        const select = document.getElementById('select-data');
+        return select && settingApplies(select, this.type) ? select.value : 'number';
+    }
+
+    // Explicit array typed in the toolbar. Returns {} when blank, { array } or { error }
+    readCustomArray() {
+        const input = document.getElementById('input-array');
+        const text = input ? input.value.trim() : '';
+        if (input) input.classList.remove('invalid');
+        if (!text) return {};
+
+        const dataType = this.readDataType();
+        const values = text.split(/[\s,，]+/).filter(Boolean).map(token => parseItem(dataType, token));
+        const { min, max } = this.valueRange();
+        let error = null;
+        if (DATA_TYPES[dataType] && values.includes(null)) {
+            error = t(`array.invalid.${dataType}`);
+        } else if (!DATA_TYPES[dataType] && values.some(v => v === null || v < min || v > max)) {
+            error = t('array.invalidValue', { min, max });
+        } else if (values.length < SIZE_MIN || values.length > SIZE_MAX) {
+            error = t('array.invalidLength', { min: SIZE_MIN, max: SIZE_MAX, count: values.length });
+        }
+        if (error) {
+            input.classList.add('invalid');
+            return { error };
+        }
+        return { array: values };
+    }
+
+    // Settings passed to engine.create(); subclasses add their own
+    engineOptions() {
+        const options = { order: this.sortOrder, convergence: this.convergence, dataType: this.dataType };
+        if (this.dataType === 'record') {
+            const keySelect = document.getElementById('select-primary-key');
+            options.primaryKey = keySelect ? keySelect.value : 'score';
+        }
+        return options;
+    }
+
+    generateRandomArray(size) {
+        if (DATA_TYPES[this.dataType]) return DATA_TYPES[this.dataType].deal(size, this.random);
+        // Generate numbers between 1 and 99
+        return Array.from({ length: size }, () => Math.floor(this.random() * 99) + 1);
+    }
+
+    // Duplicates option: about half as many distinct values as cards, so most values repeat
+    generateDuplicateArray(size) {
+        if (DATA_TYPES[this.dataType] && DATA_TYPES[this.dataType].unique) return this.generateRandomArray(size);
+        const pool = this.generateRandomArray(Math.max(2, Math.floor(size / 2)));
+        return Array.from({ length: size }, () => pool[Math.floor(this.random() * pool.length)]);
+    }
+
+    // Helper: Returns true if 'a' should come before 'b' based on sortOrder and the data type
+    shouldPrecede(a, b) {
+        return SortEngine.precedes(this.state, a, b);
+    }
+
+    expectedMove() {
+        return this.engine.expectedMove(this.state);
+    }
+
+    // Applies the move if the algorithm accepts it. Returns false (state untouched) otherwise.
+    // Player moves are logged; automatic ones (move.auto) are not.
+    tryMove(move) {
+        if (this.isComplete) return false;
+        const correct = this.engine.accepts(this.state, move);
+        if (!move.auto && !this.autoplaying) this.recordAttempt(move, correct);
+        if (!correct) return false;
+
+        if (!move.auto) {
+            this.history.push(this.state);
+            this.future = [];
+        }
+        this.state = this.engine.apply(this.state, move);
+        this.isComplete = this.engine.isComplete(this.state);
+        if (this.isComplete) this.finishRun(true);
+        this.updateHistoryButtons();
+        this.updateCounters();
+        this.showHint();
+        this.saveProgress();
+        return true;
+    }
+
+    // Everything needed to rebuild this game: the engine state (which holds every step field,
+    // e.g. bubble i/j or a picked insertion card), the undo stacks and the run log
+    snapshot() {
+        const now = Date.now();
+        return {
+            version: SAVE_VERSION,
+            type: App.gameType,
+            route: location.hash,
+            savedAt: now,
+            elapsed: now - this.run.startedAt,
+            seed: this.seed,
+            sortOrder: this.sortOrder,
+            convergence: this.convergence,
+            challenge: this.challenge,
+            exercise: this.exercise,
+            state: this.state,
+            history: this.history,
+            future: this.future,
+            run: this.run
+        };
+    }
+
+    saveProgress() {
+        if (App.gameInstance !== this || !this.run) return;
+        if (this.isComplete) clearSavedGame();
+        else storeSavedGame(this.snapshot());
+    }
+
+    restore(saved) {
+        this.pauseDemo();
+        this.cancelTimers();
+        ui.controls.innerHTML = '';
+
+        this.seed = saved.seed;
+        this.random = seededRandom(seedFromText(this.seed));
+        this.sortOrder = saved.sortOrder;
+        this.convergence = saved.convergence;
+        this.challenge = saved.challenge;
+        this.state = saved.state;
+        this.dataType = saved.state.dataType || 'number';
+        this.isComplete = this.engine.isComplete(this.state);
+        this.history = saved.history;
+        this.future = saved.future;
+        this.hintProgress = null;
+
+        // The clock only counts time spent playing, not the time the page was closed
+        this.run = saved.run;
+        this.run.startedAt = Date.now() - saved.elapsed;
+        this.lastActionAt = Date.now();
+        if (this.challenge) this.clockTimer = setInterval(() => this.updateChallengeHud(), 1000);
+
+        this.applySettings(this.run.settings);
+        this.resume();
+        this.updateChallengeHud();
+    }
+
+    // Puts a run's settings back into the toolbar so that reset deals the same kind of puzzle
+    applySettings(settings) {
+        Object.entries(RUN_SETTING_CONTROLS).forEach(([key, id]) => {
+            const el = document.getElementById(id);
+            if (el && settings[key] !== undefined) writeSetting(el, settings[key]);
+        });
+        const arrayInput = document.getElementById('input-array');
+        if (arrayInput) arrayInput.value = settings.custom ? settings.array.join(' ') : '';
+        this.showSeed();
+    }
+
+    // The generated seed is shown in the empty seed box so the puzzle can be reproduced
+    showSeed() {
+        const seedInput = document.getElementById('input-seed');
+        if (seedInput) seedInput.placeholder = t('toolbar.seedRandom', { seed: this.seed });
+    }
+
+    // Runs a step transition that undo/redo/reset can cancel
+    schedule(fn, delay) {
+        const id = setTimeout(() => {
+            this.timers = this.timers.filter(t => t !== id);
+            fn();
+        }, delay);
+        this.timers.push(id);
+    }
+
+    cancelTimers() {
+        this.timers.forEach(id => clearTimeout(id));
+        this.timers = [];
+    }
+
+    // Redraws the board and prompts for whatever step the current state is at
+    resume() {
+        this.render();
+        this.startLogic();
+        this.updateHistoryButtons();
+        this.updateCounters();
+        this.showHint();
+    }
+
+    undo() {
+        if (this.challenge || this.isComplete || !this.history.length) return;
+        this.pauseDemo();
+        this.cancelTimers();
+        this.future.push(this.state);
+        this.state = this.history.pop();
+        this.isComplete = this.engine.isComplete(this.state);
+        this.resume();
+        this.saveProgress();
+    }
+
+    redo() {
+        if (this.challenge || this.isComplete || !this.future.length) return;
+        this.pauseDemo();
+        this.cancelTimers();
+        this.history.push(this.state);
+        this.state = this.future.pop();
+        this.isComplete = this.engine.isComplete(this.state);
+        if (this.isComplete) this.finishRun(true);
+        this.resume();
+        this.saveProgress();
+    }
+
+    // --- Demo (auto-play) ---
+    // The demo feeds the engine's expected moves through the same handlers a player click uses,
+    // so highlighting and animations are identical to interactive play.
+    performMove(move) { }
+
+    demoStep() {
+        if (!this.state) return;
+        const move = this.expectedMove();
+        if (this.isComplete || !move || move.auto) return;
+        if (this.run) this.run.demo = true;
+        this.autoplaying = true;
+        try {
+            this.performMove(move);
+        } finally {
+            this.autoplaying = false;
+        }
+    }
+
+    // Nothing to play while a rejected custom array leaves the game without a puzzle (see init)
+    playDemo() {
+        if (!this.state || this.challenge || !this.hintsAllowed || this.isComplete) return;
+        this.demoPlaying = true;
+        this.demoSettled = false;
+        this.updateDemoControls();
+        this.demoTick();
+    }
+
+    pauseDemo() {
+        clearTimeout(this.demoTimer);
+        this.demoPlaying = false;
+        this.updateDemoControls();
+    }
+
+    // Waits for running transitions, then shows the settled step for one stepDelay before moving
+    demoTick() {
+        clearTimeout(this.demoTimer);
+        if (!this.demoPlaying) return;
+        if (this.isComplete) return this.pauseDemo();
+
+        if (this.timers.length) {
+            this.demoSettled = false;
+            this.demoTimer = setTimeout(() => this.demoTick(), 50);
+            return;
+        }
+        if (!this.demoSettled) {
+            this.demoSettled = true;
+            this.demoTimer = setTimeout(() => this.demoTick(), this.stepDelay);
+            return;
+        }
+        this.demoSettled = false;
+        this.demoStep();
+        this.demoTimer = setTimeout(() => this.demoTick(), 50);
+    }
+
+    stepDemo() {
+        this.pauseDemo();
+        if (!this.state || this.challenge || !this.hintsAllowed) return;
+        const attempt = () => {
+            if (this.timers.length) {
+                this.demoTimer = setTimeout(attempt, 50);
+                return;
+            }
+            this.demoStep();
+        };
+        attempt();
+    }
+
+    updateDemoControls() {
+        if (App.gameInstance !== this) return;
+        views.game.classList.toggle('demo-playing', this.demoPlaying);
+        if (ui.demoPlay) ui.demoPlay.innerText = t(this.demoPlaying ? 'demo.pause' : 'demo.play');
+    }
+
+    // --- Hints ---
+    // Each step escalates on its own: 1 a nudge, 2 the relevant cards highlighted, 3 the answer.
+    // The hint button asks for the next level; mistakes raise it too (the nth mistake on a step
+    // brings it to level n). Off wherever the demo is (challenges, assignment exercises without hints).
+
+    get hintsEnabled() {
+        return !this.challenge && this.hintsAllowed;
+    }
+
+    // Steps are told apart by the length of the undo history, so undo/redo starts a step afresh
+    stepHint() {
+        if (!this.hintProgress || this.hintProgress.step !== this.history.length) {
+            this.hintProgress = { step: this.history.length, level: 0, mistakes: 0 };
+        }
+        return this.hintProgress;
+    }
+
+    raiseHint(level) {
+        if (!this.state || !this.hintsEnabled || this.isComplete || this.autoplaying) return;
+        const progress = this.stepHint();
+        if (level > HINT_LEVELS || level <= progress.level || !this.hint(level)) return;
+        progress.level = level;
+        if (this.run) this.run.hints = (this.run.hints || 0) + 1;
+        this.showHint();
+        this.saveProgress();
+    }
+
+    requestHint() {
+        this.raiseHint(this.stepHint().level + 1);
+    }
+
+    noteMistake() {
+        const progress = this.stepHint();
+        progress.mistakes++;
+        this.raiseHint(progress.mistakes);
+    }
+
+    // Hint for the current step at `level`: { text, region: [card indices], card, slot, key } where
+    // region is highlighted and card/slot/key (a control's data-key) marks the answer. null if none.
+    hint(level) {
+        return null;
+    }
+
+    // Shows the current step's hint, or hides the box; called again whenever the board is redrawn
+    showHint() {
+        if (App.gameInstance !== this || !ui.hintBox) return;
+        document.querySelectorAll('.hint-region, .hint-answer').forEach(el => el.classList.remove('hint-region', 'hint-answer'));
+        const level = this.isComplete || !this.hintsEnabled ? 0 : this.stepHint().level;
+        const hint = level ? this.hint(level) : null;
+        ui.hintBox.hidden = !hint;
+        if (!hint) return;
+
+        ui.hintBox.innerText = hint.text;
+        const mark = (el, cls) => { if (el) el.classList.add(cls); };
+        (hint.region || []).forEach(idx => mark(document.getElementById(`card-${idx}`), 'hint-region'));
+        if (hint.card !== undefined) mark(document.getElementById(`card-${hint.card}`), 'hint-answer');
+        if (hint.slot !== undefined) mark(ui.board.querySelector(`.slot[data-slot="${hint.slot}"]`), 'hint-answer');
+        if (hint.key) mark(ui.controls.querySelector(`[data-key="${hint.key}"]`), 'hint-answer');
+    }
+
+    updateHistoryButtons() {
+        if (App.gameInstance !== this) return;
+        const undoBtn = document.getElementById('btn-undo');
+        const redoBtn = document.getElementById('btn-redo');
+        if (undoBtn) undoBtn.disabled = this.isComplete || !this.history.length;
+        if (redoBtn) redoBtn.disabled = this.isComplete || !this.future.length;
+    }
+
+    // Message key for the kind of step currently asked of the player (used in the results summary);
+    // { key, params } when the label needs values
+    stepKind() {
+        return 'kind.step';
+    }
+
+    beginRun(settings) {
+        this.finishRun(false);
+        this.run = {
+            type: this.type,
+            settings,
+            startedAt: Date.now(),
+            endedAt: null,
+            completed: false,
+            exercise: this.exercise,
+            attempts: [], // { step, kind, expected, move, correct, assisted, time }
+            hints: 0, // Hint levels shown (see raiseHint)
+            score: this.challenge ? { points: 0, bonus: 0, penalty: 0, timeBonus: 0, streak: 0, bestStreak: 0, rank: 0 } : null
+        };
+        this.lastActionAt = this.run.startedAt;
+        if (this.challenge) this.clockTimer = setInterval(() => this.updateChallengeHud(), 1000);
+        this.updateChallengeHud();
+    }
+
+    recordAttempt(move, correct) {
+        if (!this.run) return;
+        const now = Date.now();
+        this.run.attempts.push({
+            step: this.history.length + 1,
+            kind: this.stepKind(),
+            expected: this.expectedMove(),
+            move,
+            correct,
+            assisted: correct && this.stepHint().level >= HINT_LEVELS, // Made after the answer was shown
+            time: now - this.lastActionAt
+        });
+        this.lastActionAt = now;
+        if (this.run.score) this.scoreAttempt(correct);
+        if (!correct) this.noteMistake();
+    }
+
+    scoreAttempt(correct) {
+        const score = this.run.score;
+        if (correct) {
+            score.points += SCORING.correct;
+            score.streak++;
+            score.bestStreak = Math.max(score.bestStreak, score.streak);
+            if (score.streak % SCORING.streakEvery === 0) score.bonus += SCORING.streakBonus;
+        } else {
+            score.penalty += SCORING.wrong;
+            score.streak = 0;
+        }
+        this.updateChallengeHud();
+    }
+
+    updateChallengeHud() {
+        if (App.gameInstance !== this) return;
+        views.game.classList.toggle('challenge-mode', this.challenge);
+        views.game.classList.toggle('no-hints', !this.hintsAllowed);
+        if (!ui.challengeHud) return;
+        ui.challengeHud.hidden = !this.challenge || !this.run;
+        if (ui.challengeHud.hidden) return;
+        const run = this.run;
+        const elapsed = (run.endedAt || Date.now()) - run.startedAt;
+        ui.challengeHud.innerText = `⏱ ${formatClock(elapsed)}　⭐ ${challengeScore(run.score)}　🔥 ${run.score.streak}`;
+    }
+
+    // Comparisons, swaps and moves so far (state.stats, kept by the engine)
+    updateCounters() {
+        if (App.gameInstance !== this || !ui.counters) return;
+        ui.counters.innerText = t('stats.counters', this.state.stats);
+    }
+
+    // Moves the current run into the session history. Abandoned runs are kept only if played.
+    finishRun(completed) {
+        clearInterval(this.clockTimer);
+        const run = this.run;
+        if (!run || run.endedAt) return;
+        if (!completed && !run.attempts.length) return;
+        run.endedAt = Date.now();
+        run.completed = completed;
+        if (completed) {
+            run.stats = Object.assign({}, this.state.stats);
+            run.stability = stabilityBreaks(this.array);
+            recordStats(run);
+        }
+        if (run.score && completed) {
+            const correct = run.attempts.filter(a => a.correct).length;
+            const spare = correct * SCORING.parPerMove - (run.endedAt - run.startedAt);
+            run.score.timeBonus = Math.max(0, Math.floor(spare / 1000)) * SCORING.timeBonus;
+            if (!run.demo && !run.settings.custom) run.score.rank = recordScore(run);
+        }
+        App.sessionHistory.push(run);
+        recordExerciseRun(run);
+        this.updateChallengeHud();
+        updateAssignmentBar();
+    }
+
+    render() {
+        ui.board.innerHTML = '';
+        this.array.forEach((num, index) => {
+            const card = this.createCardElement(num, index);
+            ui.board.appendChild(card);
+        });
+    }
+
+    createCardElement(num, index) {
+        const div = document.createElement('div');
+        div.className = 'card';
+        div.id = `card-${index}`;
+        renderValue(div, num);
+        return div;
+    }
+
+    setMessage(msg, type = 'normal') {
+        if (!ui.instruction) return;
+        ui.instruction.innerText = msg;
+        announce(msg);
+        ui.instruction.style.color = type === 'error' ? '#e74c3c' : (type === 'success' ? '#2ecc71' : '#16a085');
+        if (type === 'error') {
+            ui.instruction.classList.add('shake');
+            setTimeout(() => ui.instruction.classList.remove('shake'), 500);
+        }
+    }
+
+    // The stability verdict is added when equal values are tagged
+    completionMessage() {
+        const broken = stabilityBreaks(this.array);
+        return broken ? `${t('game.complete')} ${describeStability(broken)}` : t('game.complete');
+    }
+
+    playSuccess() {
+        this.updateHistoryButtons();
+        this.updatePseudocode();
+        this.setMessage(this.completionMessage(), 'success');
+        document.querySelectorAll('.card').forEach(c => {
+            c.classList.remove('comparing', 'selected');
+            c.classList.add('sorted');
+        });
+        ui.controls.innerHTML = '';
+
+        // Let the sorted board show briefly before the summary (not after a demo)
+        const run = this.run;
+        if (!run || run.demo) return;
+        this.schedule(() => {
+            if (App.gameInstance === this && this.run === run) showResults(run);
+        }, this.stepDelay);
+    }
+
+    // Redraws prompts and controls in the current language without changing the game
+    relocalize() {
+        this.updateDemoControls();
+        this.updateCounters();
+        this.updateChallengeHud();
+        this.showSeed();
+        if (this.isComplete) return this.setMessage(this.completionMessage(), 'success');
+        this.cancelTimers();
+        this.resume();
+    }
+
+    cleanup() {
+        this.pauseDemo();
+        this.cancelTimers();
+        this.finishRun(false);
+    }
+    startLogic() { }
+
+    // Pseudocode panel contents for the current step (see showPseudocode), null for games without one
+    pseudocode() {
+        return null;
+    }
+
+    updatePseudocode() {
+        if (App.gameInstance === this) showPseudocode(this.pseudocode());
+    }
+}
+
+// --- Bubble Sort Implementation ---
+class BubbleSortGame extends SortGame {
+    constructor() {
+        super('bubble', SortEngine.bubble);
+    }
+
+    engineOptions() {
+        const variantSelect = document.getElementById('select-variant');
+        return Object.assign(super.engineOptions(), { variant: variantSelect ? variantSelect.value : 'classic' });
+    }
+
+    startLogic() {
+        this.controlsPhase = null;
+        this.nextStep(); // Trigger first state
+    }
+
+    // Compare buttons during a pass; continue/stop once a pass of the optimised variants ends.
+    // Only rebuilt when the phase changes, so a focused button keeps focus between steps.
+    createControls() {
+        const check = this.state.check;
+        if (this.controlsPhase === check) return;
+        this.controlsPhase = check;
+        ui.controls.innerHTML = check ? `
+            <button class="btn btn-primary" data-key="n" aria-keyshortcuts="N" onclick="App.gameInstance.handleAction('continue')">${t('bubble.btnContinue')} <kbd>N</kbd></button>
+            <button class="btn btn-success" data-key="x" aria-keyshortcuts="X" onclick="App.gameInstance.handleAction('stop')">${t('bubble.btnStop')} <kbd>X</kbd></button>
+        ` : `
+            <button class="btn btn-danger" data-key="s" aria-keyshortcuts="S" onclick="App.gameInstance.handleAction('swap')">${t('btn.swap')} <kbd>S</kbd></button>
+            <button class="btn btn-primary" data-key="n" aria-keyshortcuts="N" onclick="App.gameInstance.handleAction('next')">${t('btn.next')} <kbd>N</kbd></button>
+        `;
+    }
+
+    stepKind() {
+        return this.state.check ? 'bubble.kindCheck' : 'bubble.kind';
+    }
+
+    performMove(move) {
+        this.handleAction(move.type);
+    }
+
+    // Right passes compare j and j+1, left passes compare j-1 and j
+    comparedPair() {
+        return this.engine.pair(this.state);
+    }
+
+    updateState() {
+        if (this.isComplete) return;
+
+        // Clear previous styles
+        document.querySelectorAll('.card').forEach(c => c.classList.remove('comparing'));
+        this.createControls();
+
+        // End of a pass: the player decides from the pass they just watched, so nothing is highlighted
+        if (this.state.check) {
+            this.setMessage(t('bubble.promptCheck', { pass: this.state.i }));
+            this.updatePseudocode();
+            return;
+        }
+
+        const [idx1, idx2] = this.comparedPair();
+        const c1 = document.getElementById(`card-${idx1}`);
+        const c2 = document.getElementById(`card-${idx2}`);
+        if (c1) c1.classList.add('comparing');
+        if (c2) c2.classList.add('comparing');
+
+        this.setMessage(t('bubble.prompt', { a: formatValue(this.array[idx1]), b: formatValue(this.array[idx2]) }));
+        this.updatePseudocode();
+    }
+
+    // `gt` reads "out of order" for the chosen sort order. The swapped flag is left out of the
+    // variables: whether the pass swapped anything is exactly what the player has to remember.
+    pseudocode() {
+        const gt = this.sortOrder === 'asc' ? '>' : '<';
+        const { variant, check } = this.state;
+        const n = this.array.length;
+        if (variant === 'cocktail') return this.cocktailPseudocode(gt);
+
+        const right = this.convergence === 'right';
+        const loop = right ? '    for j ← 0 to n − 2 − i' : '    for j ← n − 1 downto i + 1';
+        const compare = right ? `        if A[j] ${gt} A[j + 1]` : `        if A[j − 1] ${gt} A[j]`;
+        const exchange = right ? '            swap A[j], A[j + 1]' : '            swap A[j − 1], A[j]';
+        const lines = variant === 'optimized'
+            ? ['for i ← 0 to n − 2', '    swapped ← false', loop, compare, `${exchange}; swapped ← true`, '    if not swapped: stop']
+            : ['for i ← 0 to n − 2', loop, compare, exchange];
+        if (this.isComplete) return { lines, active: [], vars: { n } };
+        const { i, j } = this.state;
+        // During the check the pass that just ended is still pass i − 1
+        if (check) return { lines, active: [5], vars: { n, i: i - 1 } };
+        return { lines, active: [variant === 'optimized' ? 3 : 2], vars: { n, i, j } };
+    }
+
+    // Cocktail shaker: one half per direction, in the order the run starts with
+    cocktailPseudocode(gt) {
+        const half = {
+            right: ['    swapped ← false', '    for j ← lo to hi − 1', `        if A[j] ${gt} A[j + 1]`,
+                '            swap A[j], A[j + 1]; swapped ← true', '    hi ← hi − 1', '    if not swapped: stop'],
+            left: ['    swapped ← false', '    for j ← hi downto lo + 1', `        if A[j − 1] ${gt} A[j]`,
+                '            swap A[j − 1], A[j]; swapped ← true', '    lo ← lo + 1', '    if not swapped: stop']
+        };
+        const first = this.convergence;
+        const second = first === 'right' ? 'left' : 'right';
+        const lines = ['lo ← 0, hi ← n − 1', 'while lo < hi', ...half[first], ...half[second]];
+        const n = this.array.length;
+        if (this.isComplete) return { lines, active: [], vars: { n } };
+        const { lo, hi, j, check, dir } = this.state;
+        // Passes alternate, so during the check the pass that just ended ran the other way
+        const base = (check ? dir !== first : dir === first) ? 2 : 8;
+        if (check) return { lines, active: [base + 5], vars: { n, lo, hi } };
+        return { lines, active: [base + 2], vars: { n, lo, hi, j } };
+    }
+
+    // A right pass carries the card that belongs last to the right, a left pass the one that belongs first
+    hint(level) {
+        const s = this.state;
+        const move = this.expectedMove();
+        if (s.check) {
+            const stop = move.type === 'stop';
+            if (level === 3) return { text: t('hint.answer', { answer: t(stop ? 'bubble.btnStop' : 'bubble.btnContinue') }), key: stop ? 'x' : 'n' };
+            return { text: t(level === 1 ? 'hint.bubbleCheck1' : 'hint.bubbleCheck2') };
+        }
+
+        const swapping = move.type === 'swap';
+        if (level === 3) return { text: t('hint.answer', { answer: t(swapping ? 'btn.swap' : 'btn.next') }), key: swapping ? 's' : 'n' };
+        const [a, b] = this.comparedPair();
+        const larger = (s.dir === 'right') === (this.sortOrder === 'asc');
+        const side = t(`hint.${s.dir}`);
+        if (level === 1) {
+            return { text: t('hint.bubble1', {
+                a: formatValue(this.array[a]),
+                b: formatValue(this.array[b]),
+                extreme: t(larger ? 'hint.max' : 'hint.min'),
+                side,
+                size: t(larger ? 'hint.larger' : 'hint.smaller')
+            }) };
+        }
+        // The card that travels on with the pass: the near one if it has to pass the other
+        const [near, far] = s.dir === 'right' ? [a, b] : [b, a];
+        const mover = swapping ? near : far;
+        return { text: t('hint.bubble2', { value: formatValue(this.array[mover]), side }), region: [mover] };
+    }
+
+    handleAction(action) {
+        if (this.isComplete) return;
+
+        if (this.state.check) return this.handleCheck(action);
+        if (action !== 'swap' && action !== 'next') return;
+
+        const [idx1, idx2] = this.comparedPair();
+        if (!this.tryMove({ type: action })) {
+            if (action === 'swap') return this.pulseError(t('error.noSwap'));
+            return this.pulseError(t('error.mustSwap'));
+        }
+
+        this.render();
+        document.getElementById(`card-${idx1}`).classList.add('flash');
+        document.getElementById(`card-${idx2}`).classList.add('flash');
+        this.schedule(() => this.nextStep(), this.stepDelay);
+    }
+
+    // Continuing after a swap-free pass, or stopping after one that swapped, is a mistake
+    handleCheck(action) {
+        if (action !== 'continue' && action !== 'stop') return;
+        if (!this.tryMove({ type: action })) {
+            this.setMessage(t(action === 'stop' ? 'bubble.errorStop' : 'bubble.errorContinue'), 'error');
+            return;
+        }
+        this.render();
+        this.nextStep();
+    }
+
+    pulseError(msg) {
+        this.setMessage(msg, 'error');
+        const [idx1, idx2] = this.comparedPair();
+
+        const c1 = document.getElementById(`card-${idx1}`);
+        const c2 = document.getElementById(`card-${idx2}`);
+        if (c1) c1.classList.add('shake');
+        if (c2) c2.classList.add('shake');
+        setTimeout(() => {
+            if (c1) c1.classList.remove('shake');
+            if (c2) c2.classList.remove('shake');
+        }, 500);
+    }
+
+    nextStep() {
+        if (this.isComplete) this.playSuccess();
+        else this.updateState();
+    }
+
+    render() {
+        super.render();
+        // Re-apply 'sorted' to the ends settled by completed passes: everything outside [lo, hi]
+        const { lo, hi } = this.state;
+        this.array.forEach((_, idx) => {
+            if (idx >= lo && idx <= hi) return;
+            const card = document.getElementById(`card-${idx}`);
+            if (card) card.classList.add('sorted');
+        });
+    }
+}
+
+// --- Insertion Sort Implementation ---
+class InsertionSortGame extends SortGame {
+    constructor() {
+        super('insertion', SortEngine.insertion);
+        // state.boundary is the boundary of the sorted region.
+        // Left Conv: End of sorted (Inclusive). sorted [0..boundary]
+        // Right Conv: Start of sorted (Inclusive). sorted [boundary..n-1]
+    }
+
+    engineOptions() {
+        const modeSelect = document.getElementById('select-insert-mode');
+        return Object.assign(super.engineOptions(), { mode: modeSelect ? modeSelect.value : 'slot' });
+    }
+
+    get mode() {
+        return this.state.mode;
+    }
+
+    startLogic() {
+        this.controlsPhase = null;
+        // A card may already be picked when resuming mid-step
+        if (this.state.picked !== null) this.showInsertPrompt();
+        else this.promptPick();
+    }
+
+    stepKind() {
+        const { picked, lo, hi } = this.state;
+        if (picked === null) return 'insertion.kindPick';
+        if (this.mode === 'step') return 'insertion.kindShift';
+        if (this.mode === 'binary' && lo < hi) return 'insertion.kindProbe';
+        return 'insertion.kindSlot';
+    }
+
+    performMove(move) {
+        if (move.type === 'pick') this.handlePick(move.index);
+        else if (move.type === 'shift' || move.type === 'place') this.handleStep(move.type);
+        else if (move.type === 'probe') this.handleProbe(move.index);
+        else this.handleInsert(move.slot);
+    }
+
+    // Sorted region as [start, end] (inclusive). In step mode the picked card walks into it,
+    // so while one is picked the region also covers the card it displaced.
+    sortedRange() {
+        const { boundary, picked } = this.state;
+        const grown = this.mode === 'step' && picked !== null ? 1 : 0;
+        return this.convergence === 'left' ? [0, boundary + grown] : [boundary - grown, this.array.length - 1];
+    }
+
+    // Shift / insert buttons while step mode places a card; none otherwise
+    createControls(phase) {
+        if (this.controlsPhase === phase) return;
+        this.controlsPhase = phase;
+        ui.controls.innerHTML = phase === 'step' ? `
+            <button class="btn btn-danger" data-key="s" aria-keyshortcuts="S" onclick="App.gameInstance.handleStep('shift')">${t('insertion.btnShift')} <kbd>S</kbd></button>
+            <button class="btn btn-primary" data-key="i" aria-keyshortcuts="I" onclick="App.gameInstance.handleStep('place')">${t('insertion.btnPlace')} <kbd>I</kbd></button>
+        ` : '';
+    }
+
+    promptPick() {
+        if (this.isComplete) {
+            this.playSuccess();
+            return;
+        }
+
+        this.createControls(null);
+        const pickIndex = this.engine.pickIndex(this.state);
+        this.setMessage(t('insertion.promptPick'));
+        this.updatePseudocode();
+        const card = document.getElementById(`card-${pickIndex}`);
+        if (card) {
+            card.classList.add('clickable');
+            setAction(card, () => this.handlePick(pickIndex));
+        }
+    }
+
+    handlePick(index) {
+        const card = document.getElementById(`card-${index}`);
+        if (card) {
+            clearAction(card);
+            card.classList.remove('clickable');
+        }
+        if (!this.tryMove({ type: 'pick', index })) return;
+        this.showInsertPrompt();
+    }
+
+    showInsertPrompt() {
+        if (this.mode === 'step') return this.showStepPrompt();
+        if (this.mode === 'binary' && this.state.lo < this.state.hi) return this.showProbePrompt();
+        const key = this.mode === 'binary' ? 'insertion.promptBinarySlot' : 'insertion.promptSlot';
+        this.setMessage(t(key, { value: formatValue(this.array[this.state.picked]) }));
+        this.updatePseudocode();
+        this.showSlots();
+    }
+
+    // Step mode: the picked card is compared with the next sorted card, which is shifted out of its way or not
+    showStepPrompt() {
+        this.render();
+        this.createControls('step');
+        const { picked } = this.state;
+        const k = this.engine.neighbour(this.state);
+        const key = formatValue(this.array[picked]);
+        if (k === null) {
+            this.setMessage(t('insertion.promptEdge', { key }));
+        } else {
+            const card = document.getElementById(`card-${k}`);
+            if (card) card.classList.add('comparing');
+            this.setMessage(t('insertion.promptStep', { key, value: formatValue(this.array[k]) }));
+        }
+        this.updatePseudocode();
+    }
+
+    handleStep(action) {
+        if (this.isComplete || this.state.picked === null || this.mode !== 'step') return;
+        const { picked } = this.state;
+        const k = this.engine.neighbour(this.state);
+        const key = formatValue(this.array[picked]);
+        const value = k === null ? '' : formatValue(this.array[k]);
+
+        if (!this.tryMove({ type: action })) {
+            let message;
+            if (action === 'place') message = t('insertion.errorPlace', { key, value });
+            else if (k === null) message = t('insertion.errorEdge', { key });
+            else message = t('insertion.errorShift', { key, value });
+            this.setMessage(message, 'error');
+            const card = document.getElementById(`card-${picked}`);
+            if (card) {
+                card.classList.add('shake');
+                setTimeout(() => card.classList.remove('shake'), 500);
+            }
+            return;
+        }
+
+        if (action === 'place') {
+            this.setMessage(t('insertion.correct'), 'success');
+            this.render();
+            this.schedule(() => this.promptPick(), this.stepDelay);
+            return;
+        }
+        this.render();
+        [picked, k].forEach(idx => {
+            const card = document.getElementById(`card-${idx}`);
+            if (card) card.classList.add('flash');
+        });
+        this.schedule(() => this.showStepPrompt(), this.stepDelay);
+    }
+
+    // Binary mode: any card of the sorted region still in range can be clicked; only the midpoint is right
+    showProbePrompt() {
+        this.render();
+        const { lo, hi } = this.state;
+        const [start, end] = this.sortedRange();
+        for (let i = start; i <= end; i++) {
+            const card = document.getElementById(`card-${i}`);
+            if (!card) continue;
+            if (i < lo || i >= hi) {
+                card.classList.add('inactive');
+                continue;
+            }
+            card.classList.add('clickable');
+            setAction(card, () => this.handleProbe(i));
+        }
+        this.setMessage(t('insertion.promptProbe', { value: formatValue(this.array[this.state.picked]) }));
+        this.updatePseudocode();
+    }
+
+    handleProbe(index) {
+        if (this.isComplete || this.state.picked === null || this.mode !== 'binary') return;
+        const key = formatValue(this.array[this.state.picked]);
+        const value = formatValue(this.array[index]);
+        const { hi } = this.state;
+
+        if (!this.tryMove({ type: 'probe', index })) {
+            this.setMessage(t('insertion.errorProbe'), 'error');
+            const card = document.getElementById(`card-${index}`);
+            if (card) {
+                card.classList.add('shake');
+                setTimeout(() => card.classList.remove('shake'), 500);
+            }
+            return;
+        }
+
+        // The range kept its low end when the key belongs before the midpoint
+        const before = this.state.hi !== hi;
+        this.setMessage(t(before ? 'insertion.probeBefore' : 'insertion.probeAfter', { key, value }), 'success');
+        document.querySelectorAll('#game-board .card').forEach(card => {
+            clearAction(card);
+            card.classList.remove('clickable');
+        });
+        const card = document.getElementById(`card-${index}`);
+        if (card) card.classList.add('comparing');
+        this.schedule(() => this.showInsertPrompt(), this.stepDelay);
+    }
+
+    // Picking is line 1; choosing a slot in handleInsert carries out the search and insert (lines 3-6),
+    // while step mode stops at the loop test (line 3) for every card.
+    // The search never moves the key past an equal value it started behind, so the sort is stable.
+    pseudocode() {
+        if (this.mode === 'binary') return this.binaryPseudocode();
+        const asc = this.sortOrder === 'asc';
+        const lines = this.convergence === 'left' ? [
+            'for boundary ← 0 to n − 2',
+            '    key ← A[boundary + 1]',
+            '    k ← boundary',
+            `    while k ≥ 0 and A[k] ${asc ? '>' : '<'} key`,
+            '        A[k + 1] ← A[k]',
+            '        k ← k − 1',
+            '    A[k + 1] ← key'
+        ] : [
+            'for boundary ← n − 1 downto 1',
+            '    key ← A[boundary − 1]',
+            '    k ← boundary',
+            `    while k ≤ n − 1 and A[k] ${asc ? '<' : '>'} key`,
+            '        A[k − 1] ← A[k]',
+            '        k ← k + 1',
+            '    A[k − 1] ← key'
+        ];
+        const n = this.array.length;
+        if (this.isComplete) return { lines, active: [], vars: { n } };
+        const { boundary, picked } = this.state;
+        if (picked === null) return { lines, active: [1], vars: { n, boundary } };
+        const key = formatValue(this.array[picked]);
+        if (this.mode === 'step') {
+            const k = this.convergence === 'left' ? picked - 1 : picked + 1;
+            return { lines, active: [3], vars: { n, boundary, key, k } };
+        }
+        return { lines, active: [3, 4, 5, 6], vars: { n, boundary, key } };
+    }
+
+    // Binary Insertion Sort: an upper-bound search (lower-bound when converging right) keeps it stable
+    binaryPseudocode() {
+        const lt = this.sortOrder === 'asc' ? '<' : '>';
+        const lines = this.convergence === 'left' ? [
+            'for boundary ← 0 to n − 2',
+            '    key ← A[boundary + 1]',
+            '    lo ← 0, hi ← boundary + 1',
+            '    while lo < hi',
+            '        mid ← ⌊(lo + hi) / 2⌋',
+            `        if key ${lt} A[mid]: hi ← mid`,
+            '        else: lo ← mid + 1',
+            '    shift A[lo … boundary] one place right',
+            '    A[lo] ← key'
+        ] : [
+            'for boundary ← n − 1 downto 1',
+            '    key ← A[boundary − 1]',
+            '    lo ← boundary, hi ← n',
+            '    while lo < hi',
+            '        mid ← ⌊(lo + hi) / 2⌋',
+            `        if A[mid] ${lt} key: lo ← mid + 1`,
+            '        else: hi ← mid',
+            '    shift A[boundary … lo − 1] one place left',
+            '    A[lo − 1] ← key'
+        ];
+        const n = this.array.length;
+        if (this.isComplete) return { lines, active: [], vars: { n } };
+        const { boundary, picked, lo, hi } = this.state;
+        if (picked === null) return { lines, active: [1], vars: { n, boundary } };
+        const key = formatValue(this.array[picked]);
+        if (lo < hi) return { lines, active: [3, 4, 5, 6], vars: { n, boundary, key, lo, hi, mid: this.engine.mid(this.state) } };
+        return { lines, active: [7, 8], vars: { n, boundary, key, lo, hi } };
+    }
+
+    showSlots() {
+        ui.board.innerHTML = '';
+
+        // We need to render:
+        // 1. Sorted Region with slots interspersed.
+        // 2. The Selected Card (separate).
+        // 3. The Remaining Unsorted Cards.
+
+        // Use a container for the sorted+slots area
+        const sortArea = document.createElement('div');
+        sortArea.style.display = 'flex';
+        sortArea.style.alignItems = 'center';
+        sortArea.style.gap = '5px';
+
+        // Slot i, Card i, Slot i+1, ... , Card end, Slot end+1
+        const [rangeStart, rangeEnd] = this.sortedRange();
+        for (let i = rangeStart; i <= rangeEnd; i++) {
+            this.createSlot(sortArea, i); // Slot i (before card i)
+            sortArea.appendChild(this.createCardElement(this.array[i], i, true));
+        }
+        this.createSlot(sortArea, rangeEnd + 1); // Final slot
+
+        // Selected Card Container
+        const selectedContainer = document.createElement('div');
+        selectedContainer.style.marginLeft = '20px';
+        selectedContainer.style.marginRight = '20px'; // spacing
+        selectedContainer.style.display = 'flex';
+        selectedContainer.style.gap = '15px';
+        selectedContainer.style.alignItems = 'center';
+
+        const { picked } = this.state;
+        const selected = this.createCardElement(this.array[picked], picked);
         selected.classList.add('selected');
         selectedContainer.appendChild(selected);
 
-        // Remaining Unsorted
-        // Left Conv: [boundary+2 ... n-1] (since boundary+1 is picked)
-        // Right Conv: [0 ... boundary-2] (since boundary-1 is picked)
+        // Remaining Unsorted
+        // Left Conv: [picked+1 ... n-1]. Right Conv: [0 ... picked-1]
+        const unsortedArea = document.createElement('div');
+        unsortedArea.style.display = 'flex';
+        unsortedArea.style.gap = '5px';
+        const unsortedStart = this.convergence === 'left' ? picked + 1 : 0;
+        const unsortedEnd = this.convergence === 'left' ? this.array.length - 1 : picked - 1;
+        for (let i = unsortedStart; i <= unsortedEnd; i++) {
+            unsortedArea.appendChild(this.createCardElement(this.array[i], i));
+        }
+
+        // Left Conv: Sorted -> Selected -> Unsorted. Right Conv: Unsorted -> Selected -> Sorted
+        const areas = [sortArea, selectedContainer, unsortedArea];
+        if (this.convergence === 'right') areas.reverse();
+        areas.forEach(area => ui.board.appendChild(area));
+    }
+
+    createSlot(container, insertIndex) {
+        const slot = document.createElement('div');
+        slot.className = 'slot active';
+        slot.dataset.slot = insertIndex;
+        slot.style.width = '20px'; // Ensure visibility
+        setAction(slot, () => this.handleInsert(insertIndex), t('insertion.slot', { slot: container.querySelectorAll('.slot').length + 1 }));
+        container.appendChild(slot);
+    }
+
+    createCardElement(num, index, isSorted = false) {
+        const div = super.createCardElement(num, index);
+        if (isSorted) div.classList.add('sorted');
+        return div;
+    }
+
+    hint(level) {
+        const s = this.state;
+        const move = this.expectedMove();
+        const order = t(this.sortOrder === 'asc' ? 'hint.asc' : 'hint.desc');
+        const [start, end] = this.sortedRange();
+        const sorted = [];
+        for (let i = start; i <= end; i++) if (i !== s.picked) sorted.push(i);
+
+        if (move.type === 'pick') {
+            if (level === 1) return { text: t('hint.insertionPick1', { side: t(`hint.${this.convergence}`) }) };
+            if (level === 2) return { text: t('hint.insertionPick2'), region: sorted };
+            return { text: t('hint.answerCard', { value: formatValue(this.array[move.index]) }), card: move.index };
+        }
+
+        const key = formatValue(this.array[s.picked]);
+        if (move.type === 'shift' || move.type === 'place') {
+            const shift = move.type === 'shift';
+            if (level === 3) return { text: t('hint.answer', { answer: t(shift ? 'insertion.btnShift' : 'insertion.btnPlace') }), key: shift ? 's' : 'i' };
+            const k = this.engine.neighbour(s);
+            if (k === null) return { text: t('hint.insertionEdge', { key }) };
+            const value = formatValue(this.array[k]);
+            if (level === 1) return { text: t('hint.insertionStep1', { key, value, order }) };
+            // Converging left the key walks left, so it is shifted past the cards it comes before
+            const keyFirst = shift === (this.convergence === 'left');
+            return { text: t('hint.before', { first: keyFirst ? key : value, second: keyFirst ? value : key }), region: [k] };
+        }
+
+        if (move.type === 'probe') {
+            const { lo, hi } = s;
+            if (level === 1) return { text: t('hint.insertionProbe1', { lo, hi }) };
+            const range = [];
+            for (let i = lo; i < hi; i++) range.push(i);
+            if (level === 2) return { text: t('hint.insertionProbe2', { count: range.length }), region: range };
+            return { text: t('hint.answerCard', { value: formatValue(this.array[move.index]) }), card: move.index };
+        }
+
+        if (level === 1) return { text: t('hint.insertionSlot1', { value: key, order }) };
+        if (level === 2) {
+            const before = sorted.filter(i => i < move.slot);
+            return { text: t(before.length ? 'hint.insertionSlot2' : 'hint.insertionSlotFirst', { value: key }), region: before };
+        }
+        return { text: t('hint.answerSlot', { value: key }), slot: move.slot };
+    }
+
+    handleInsert(slotIndex) {
+        // Slot k means "insert before card k" inside the sorted region; the engine
+        // expects the first slot whose card the picked value should precede.
+        const currentVal = formatValue(this.array[this.state.picked]);
+
+        if (this.tryMove({ type: 'insert', slot: slotIndex })) {
+            this.setMessage(t('insertion.correct'), 'success');
+            this.render();
+            this.schedule(() => this.promptPick(), this.stepDelay);
+        } else {
+            this.setMessage(t('insertion.wrong', { value: currentVal }), 'error');
+            // Shake board or sortArea
+            const container = ui.board.querySelector('div'); // heuristic
+            if (container) {
+                container.classList.add('shake');
+                setTimeout(() => container.classList.remove('shake'), 500);
+            }
+        }
+    }
+
+    render() {
+        super.render();
+        const [start, end] = this.sortedRange();
+        const { picked } = this.state;
+        for (let i = start; i <= end; i++) {
+            const card = document.getElementById(`card-${i}`);
+            if (card && i !== picked) card.classList.add('sorted');
+        }
+        // Step and binary modes keep the picked card on the board while it is placed
+        const card = picked === null ? null : document.getElementById(`card-${picked}`);
+        if (card) card.classList.add('selected');
+    }
+}
+
+// --- Selection Sort Implementation ---
+class SelectionSortGame extends SortGame {
+    constructor() {
+        super('selection', SortEngine.selection);
+    }
+
+    engineOptions() {
+        const scanToggle = document.getElementById('toggle-scan');
+        return Object.assign(super.engineOptions(), { scan: !!(scanToggle && scanToggle.checked) });
+    }
+
+    stepKind() {
+        if (!this.state.scan) return 'selection.kind';
+        return this.engine.scanning(this.state) ? 'selection.kindScan' : 'selection.kindSwap';
+    }
+
+    performMove(move) {
+        if (move.type === 'select') this.handleSelection(move.index);
+        else this.handleScan(move.type);
+    }
+
+    startLogic() {
+        this.controlsPhase = null;
+        this.promptFindTarget();
+    }
+
+    // Left Conv finds "First" in [sortedIndex ... n-1] (Min if Asc, Max if Desc).
+    // Right Conv finds "Last" in [0 ... sortedIndex] (Max if Asc, Min if Desc).
+    get targetName() {
+        const findsMin = (this.convergence === 'left') === (this.sortOrder === 'asc');
+        return t(findsMin ? 'selection.min' : 'selection.max');
+    }
+
+    promptFindTarget() {
+        if (this.isComplete) {
+            this.render();
+            // Just ensure everything is marked sorted
+            document.querySelectorAll('.card').forEach(c => c.classList.add('sorted'));
+            this.playSuccess();
+            return;
+        }
+        if (this.state.scan) return this.promptScan();
+
+        const [start, end] = this.engine.range(this.state);
+        const { sortedIndex } = this.state;
+        const round = this.convergence === 'left' ? sortedIndex + 1 : this.array.length - sortedIndex;
+
+        this.setMessage(t('selection.prompt', { round, target: this.targetName }));
+        this.updatePseudocode();
+
+        // Make range clickable
+        for (let i = start; i <= end; i++) {
+            const card = document.getElementById(`card-${i}`);
+            if (card) {
+                card.classList.add('clickable');
+                setAction(card, () => this.handleSelection(i));
+            }
+        }
+    }
+
+    // Scan mode buttons: update/keep while comparing, swap/stay once the scan reaches the end
+    createControls(phase) {
+        if (this.controlsPhase === phase) return;
+        this.controlsPhase = phase;
+        ui.controls.innerHTML = phase === 'scan' ? `
+            <button class="btn btn-danger" data-key="u" aria-keyshortcuts="U" onclick="App.gameInstance.handleScan('update')">${t('selection.btnUpdate')} <kbd>U</kbd></button>
+            <button class="btn btn-primary" data-key="n" aria-keyshortcuts="N" onclick="App.gameInstance.handleScan('keep')">${t('selection.btnKeep')} <kbd>N</kbd></button>
+        ` : `
+            <button class="btn btn-danger" data-key="s" aria-keyshortcuts="S" onclick="App.gameInstance.handleScan('swap')">${t('btn.swap')} <kbd>S</kbd></button>
+            <button class="btn btn-primary" data-key="n" aria-keyshortcuts="N" onclick="App.gameInstance.handleScan('stay')">${t('selection.btnStay')} <kbd>N</kbd></button>
+        `;
+    }
+
+    // Scan mode: m (best so far) is marked selected and k comparing
+    promptScan() {
+        this.render();
+        const { m, k, sortedIndex } = this.state;
+        const scanning = this.engine.scanning(this.state);
+        this.createControls(scanning ? 'scan' : 'swap');
+
+        const best = document.getElementById(`card-${m}`);
+        if (best) best.classList.add('selected');
+        const target = this.targetName;
+        if (scanning) {
+            const card = document.getElementById(`card-${k}`);
+            if (card) card.classList.add('comparing');
+            this.setMessage(t('selection.promptScan', { target, best: formatValue(this.array[m]), value: formatValue(this.array[k]) }));
+        } else {
+            // The next sorted position is marked even when it already holds m, so the answer is not given away
+            const place = document.getElementById(`card-${sortedIndex}`);
+            if (place) place.classList.add('comparing');
+            this.setMessage(t('selection.promptSwap', { target, value: formatValue(this.array[m]) }));
+        }
+        this.updatePseudocode();
+    }
+
+    handleScan(action) {
+        if (this.isComplete || !this.state.scan) return;
+        const { m, k, sortedIndex } = this.state;
+        const scanning = this.engine.scanning(this.state);
+        if (scanning !== (action === 'update' || action === 'keep')) return;
+
+        const target = this.targetName;
+        if (!this.tryMove({ type: action })) {
+            const params = { target, best: formatValue(this.array[m]), value: formatValue(this.array[scanning ? k : m]) };
+            this.setMessage(t({ update: 'selection.errorUpdate', keep: 'selection.errorKeep', swap: 'selection.errorSwap', stay: 'selection.errorStay' }[action], params), 'error');
+            const card = document.getElementById(`card-${scanning ? k : m}`);
+            if (card) {
+                card.classList.add('shake');
+                setTimeout(() => card.classList.remove('shake'), 500);
+            }
+            return;
+        }
+
+        if (scanning) {
+            this.render();
+            const card = document.getElementById(`card-${k}`);
+            if (card) card.classList.add('flash');
+            this.schedule(() => this.promptScan(), this.stepDelay);
+            return;
+        }
+        this.setMessage(t(action === 'swap' ? 'selection.correct' : 'selection.stayed', { value: formatValue(this.array[sortedIndex]) }), 'success');
+        this.render();
+        [m, sortedIndex].forEach(idx => {
+            const card = document.getElementById(`card-${idx}`);
+            if (card) card.classList.add('flash');
+        });
+        this.schedule(() => this.promptFindTarget(), this.stepDelay);
+    }
+
+    // The player does the min/max scan (lines 2-4) and the click is the swap on line 5.
+    // m is left out of the variables: it is the answer being asked for. The scan mode shows the
+    // scan itself instead: line 3 for every comparison, then line 5.
+    pseudocode() {
+        const asc = this.sortOrder === 'asc';
+        const lines = this.convergence === 'left' ? [
+            'for sortedIndex ← 0 to n − 2',
+            '    m ← sortedIndex',
+            '    for k ← sortedIndex + 1 to n − 1',
+            `        if A[k] ${asc ? '<' : '>'} A[m]`,
+            '            m ← k',
+            '    swap A[sortedIndex], A[m]'
+        ] : [
+            'for sortedIndex ← n − 1 downto 1',
+            '    m ← sortedIndex',
+            '    for k ← sortedIndex − 1 downto 0',
+            `        if A[k] ${asc ? '>' : '<'} A[m]`,
+            '            m ← k',
+            '    swap A[sortedIndex], A[m]'
+        ];
+        const n = this.array.length;
+        if (this.isComplete) return { lines, active: [], vars: { n } };
+        const { sortedIndex, scan, m, k } = this.state;
+        if (!scan) return { lines, active: [2, 3, 4, 5], vars: { n, sortedIndex } };
+        if (this.engine.scanning(this.state)) return { lines, active: [3], vars: { n, sortedIndex, m, k } };
+        return { lines, active: [5], vars: { n, sortedIndex, m } };
+    }
+
+    hint(level) {
+        const s = this.state;
+        const move = this.expectedMove();
+        const target = this.targetName;
+        const findsMin = (this.convergence === 'left') === (this.sortOrder === 'asc');
+        const size = t(findsMin ? 'hint.smaller' : 'hint.larger');
+
+        if (move.type === 'select') {
+            if (level === 1) {
+                const order = t(this.sortOrder === 'asc' ? 'hint.asc' : 'hint.desc');
+                return { text: t('hint.selection1', { order, target, side: t(`hint.${this.convergence}`) }) };
+            }
+            if (level === 2) {
+                const [start, end] = this.engine.range(s);
+                const region = [];
+                for (let i = start; i <= end; i++) region.push(i);
+                return { text: t('hint.selection2', { target }), region };
+            }
+            return { text: t('hint.answerCard', { value: formatValue(this.array[move.index]) }), card: move.index };
+        }
+
+        const { m, k, sortedIndex } = s;
+        if (move.type === 'update' || move.type === 'keep') {
+            const update = move.type === 'update';
+            if (level === 3) return { text: t('hint.answer', { answer: t(update ? 'selection.btnUpdate' : 'selection.btnKeep') }), key: update ? 'u' : 'n' };
+            if (level === 1) return { text: t('hint.selectionScan1', { value: formatValue(this.array[k]), best: formatValue(this.array[m]), target, size }) };
+            return { text: t('hint.selectionScan2', { target, size }), region: [m, k] };
+        }
+        const swapping = move.type === 'swap';
+        if (level === 3) return { text: t('hint.answer', { answer: t(swapping ? 'btn.swap' : 'selection.btnStay') }), key: swapping ? 's' : 'n' };
+        if (level === 1) return { text: t('hint.selectionSwap1', { target, value: formatValue(this.array[m]) }) };
+        return { text: t('hint.selectionSwap2', { target }), region: [m, sortedIndex] };
+    }
+
+    handleSelection(index) {
+        document.querySelectorAll('.clickable').forEach(el => {
+            el.classList.remove('clickable');
+            clearAction(el);
+        });
+
+        const pickedVal = formatValue(this.array[index]);
+        const correctVal = formatValue(this.array[this.engine.target(this.state)]);
+        const card = document.getElementById(`card-${index}`);
+
+        // Equal-valued picks are accepted too, and swapped from the picked index
+        if (this.tryMove({ type: 'select', index })) {
+            card.classList.add('selected');
+            this.setMessage(t('selection.correct', { value: correctVal }), 'success');
+
+            this.schedule(() => {
+                this.render();
+                this.schedule(() => this.promptFindTarget(), this.stepDelay);
+            }, this.stepDelay + 200);
+        } else {
+            this.setMessage(t('selection.wrong', { picked: pickedVal, value: correctVal }), 'error');
+            card.classList.add('shake');
+            this.schedule(() => {
+                card.classList.remove('shake');
+                this.promptFindTarget();
+            }, 500);
+        }
+    }
+
+    render() {
+        super.render();
+        const { sortedIndex } = this.state;
+        if (this.convergence === 'left') {
+            for (let i = 0; i < sortedIndex; i++) {
+                const card = document.getElementById(`card-${i}`);
+                if (card) card.classList.add('sorted');
+            }
+        } else {
+            // Sorted is from sortedIndex + 1 to end
+            for (let i = this.array.length - 1; i > sortedIndex; i--) {
+                const card = document.getElementById(`card-${i}`);
+                if (card) card.classList.add('sorted');
+            }
+        }
+    }
+}
+
+// --- Merge Sort Implementation ---
+class MergeSortGame extends SortGame {
+    constructor() {
+        super('merge', SortEngine.merge);
+        // state.tasks: split/merge operations in top-down recursion order
+        // state.runs: recursion tree { lo, hi, depth, values, merged }
+        // state.merge: active merge { left, right, out, li, ri }
+    }
+
+    currentTask() {
+        return this.state.tasks[this.state.taskIndex];
+    }
+
+    stepKind() {
+        return this.currentTask().type === 'split' ? 'merge.kindSplit' : 'merge.kindTake';
+    }
+
+    performMove(move) {
+        if (move.type === 'split') this.handleSplit(move.gap);
+        else this.handlePick(move.side);
+    }
+
+    startLogic() {
+        this.runTask();
+    }
+
+    runTask() {
+        if (this.isComplete) {
+            this.render();
+            this.playSuccess();
+            return;
+        }
+
+        const task = this.currentTask();
+        if (task.type === 'split') {
+            this.render();
+            const values = this.array.slice(task.lo, task.hi + 1).map(formatValue).join(', ');
+            this.setMessage(t('merge.promptSplit', { values }));
+        } else {
+            this.promptMerge();
+        }
+    }
+
+    handleSplit(gapIndex) {
+        const task = this.currentTask();
+        if (this.isComplete || !task || task.type !== 'split') return;
+
+        if (!this.tryMove({ type: 'split', gap: gapIndex })) {
+            this.setMessage(t('merge.wrongSplit', { count: task.mid - task.lo + 1 }), 'error');
+            const run = ui.board.querySelector('.run.active');
+            if (run) {
+                run.classList.add('shake');
+                setTimeout(() => run.classList.remove('shake'), 500);
+            }
+            return;
+        }
+
+        this.setMessage(t('merge.splitDone'), 'success');
+        this.render();
+        this.schedule(() => this.runTask(), this.stepDelay);
+    }
+
+    promptMerge() {
+        const m = this.state.merge;
+        this.render();
+
+        const expected = this.expectedMove();
+        if (expected.auto) {
+            this.setMessage(t('merge.flush'), 'success');
+            this.schedule(() => {
+                this.tryMove(expected);
+                this.runTask();
+            }, this.stepDelay);
+            return;
+        }
+
+        this.setMessage(t('merge.promptTake', { left: formatValue(m.left[m.li]), right: formatValue(m.right[m.ri]) }));
+    }
+
+    handlePick(side) {
+        const m = this.state.merge;
+        if (this.isComplete || !m || this.engine.exhausted(m)) return;
+
+        const leftVal = m.left[m.li];
+        const rightVal = m.right[m.ri];
+        if (!this.tryMove({ type: 'take', side })) {
+            if (SortEngine.compare(this.state, leftVal, rightVal) === 0) return this.pulseError(t('merge.wrongTie'));
+            const correctVal = side === 'left' ? rightVal : leftVal;
+            return this.pulseError(t('merge.wrongTake', { value: formatValue(correctVal) }));
+        }
+
+        this.promptMerge();
+    }
+
+    pulseError(msg) {
+        this.setMessage(msg, 'error');
+        const heads = ui.board.querySelectorAll('.merge-panel .card.clickable');
+        heads.forEach(c => c.classList.add('shake'));
+        setTimeout(() => heads.forEach(c => c.classList.remove('shake')), 500);
+    }
+
+    render() {
+        ui.board.innerHTML = '';
+        const layout = document.createElement('div');
+        layout.className = 'merge-layout';
+        ui.board.appendChild(layout);
+
+        const { runs } = this.state;
+        const maxDepth = runs.reduce((d, r) => Math.max(d, r.depth), 0);
+
+        // One row per recursion level
+        for (let depth = 0; depth <= maxDepth; depth++) {
+            const row = document.createElement('div');
+            row.className = 'merge-level';
+            runs
+                .filter(r => r.depth === depth)
+                .sort((a, b) => a.lo - b.lo)
+                .forEach(run => row.appendChild(this.createRunElement(run)));
+            layout.appendChild(row);
+        }
+
+        if (this.state.merge) layout.appendChild(this.createMergePanel());
+    }
+
+    createRunElement(run) {
+        const box = document.createElement('div');
+        box.className = 'run';
+        if (run.merged && run.lo !== run.hi) box.classList.add('merged');
+
+        const task = this.isComplete ? null : this.currentTask();
+        const isSplitting = task && task.type === 'split' && task.lo === run.lo && task.hi === run.hi;
+        if (isSplitting) box.classList.add('active');
+        if (task && task.type === 'merge') {
+            if (task.lo === run.lo && task.hi === run.hi) box.classList.add('active');
+            else if ((run.lo === task.lo && run.hi === task.mid) || (run.lo === task.mid + 1 && run.hi === task.hi)) box.classList.add('merging');
+        }
+
+        run.values.forEach((num, k) => {
+            if (isSplitting && k > 0) {
+                // Gap between card (lo + k - 1) and (lo + k)
+                const gapIndex = run.lo + k - 1;
+                const slot = document.createElement('div');
+                slot.className = 'slot active';
+                setAction(slot, () => this.handleSplit(gapIndex), t('merge.splitBetween', { a: formatValue(run.values[k - 1]), b: formatValue(num) }));
+                box.appendChild(slot);
+            }
+            const card = this.createCardElement(num, run.lo + k);
+            card.removeAttribute('id');
+            card.classList.add('mini');
+            if (run.merged) card.classList.add('sorted');
+            box.appendChild(card);
+        });
+        return box;
+    }
+
+    createMergePanel() {
+        const m = this.state.merge;
+        const picking = !this.engine.exhausted(m);
+        const panel = document.createElement('div');
+        panel.className = 'merge-panel';
+
+        const buildRow = (label, values, consumed, side) => {
+            const row = document.createElement('div');
+            row.className = 'merge-row';
+            const tag = document.createElement('span');
+            tag.className = 'merge-label';
+            tag.innerText = label;
+            row.appendChild(tag);
+            values.forEach((num, k) => {
+                const card = this.createCardElement(num, k);
+                card.removeAttribute('id');
+                if (side && k < consumed) card.classList.add('consumed');
+                if (side && k === consumed && picking) {
+                    card.classList.add('clickable', 'comparing');
+                    setAction(card, () => this.handlePick(side));
+                }
+                if (!side) card.classList.add('sorted');
+                row.appendChild(card);
+            });
+            return row;
+        };
+
+        panel.appendChild(buildRow(t('merge.left'), m.left, m.li, 'left'));
+        panel.appendChild(buildRow(t('merge.right'), m.right, m.ri, 'right'));
+        panel.appendChild(buildRow(t('merge.out'), m.out, 0, null));
+        return panel;
+    }
+}
+
+// --- Quick Sort Implementation ---
+class QuickSortGame extends SortGame {
+    constructor() {
+        super('quick', SortEngine.quick);
+        // Lomuto phases: pivot -> scan -> place. Hoare phases: pivot -> scanI -> scanJ -> decide
+    }
+
+    engineOptions() {
+        const schemeSelect = document.getElementById('select-scheme');
+        const pivotSelect = document.getElementById('select-pivot');
+        return Object.assign(super.engineOptions(), {
+            scheme: schemeSelect ? schemeSelect.value : 'lomuto',
+            pivotRule: pivotSelect ? pivotSelect.value : 'last',
+            seed: seedFromText(this.seed) // Random pivots replay with the puzzle
+        });
+    }
+
+    stepKind() {
+        return {
+            pivot: 'quick.kindPivot',
+            scan: 'quick.kindScan',
+            place: 'quick.kindPlace',
+            scanI: 'quick.kindScanI',
+            scanJ: 'quick.kindScanJ',
+            decide: 'quick.kindDecide'
+        }[this.state.phase];
+    }
+
+    performMove(move) {
+        if (move.type === 'pivot') this.setPivot(move.index);
+        else if (move.type === 'place') this.handlePlace(move.index);
+        else this.handleAction(move.type);
+    }
+
+    startLogic() {
+        this.promptRange();
+    }
+
+    promptRange() {
+        if (this.isComplete) {
+            this.render();
+            this.playSuccess();
+            return;
+        }
+        if (this.state.phase === 'pivot') return this.promptPivot();
+        this.createControls();
+        this.updateState();
+    }
+
+    promptPivot() {
+        this.createControls();
+        this.render();
+
+        const expected = this.expectedMove();
+        if (expected.auto) {
+            const card = document.getElementById(`card-${expected.index}`);
+            if (card) card.classList.add('pivot');
+            this.setMessage(t('quick.randomPivot', { value: formatValue(this.array[expected.index]) }));
+            this.schedule(() => this.setPivot(expected.index, true), this.stepDelay);
+            return;
+        }
+
+        const { pivotRule, range } = this.state;
+        const rule = t({ first: 'quick.ruleFirst', last: 'quick.ruleLast', median: 'quick.ruleMedian' }[pivotRule]);
+        this.setMessage(t('quick.promptPivot', { rule }));
+        if (pivotRule === 'median') {
+            this.engine.candidates(this.state).forEach(idx => {
+                const card = document.getElementById(`card-${idx}`);
+                if (card) card.classList.add('comparing');
+            });
+        }
+        for (let k = range.lo; k <= range.hi; k++) {
+            const card = document.getElementById(`card-${k}`);
+            if (card) {
+                card.classList.add('clickable');
+                setAction(card, () => this.setPivot(k));
+            }
+        }
+    }
+
+    // Random pivots are given by the game (auto) rather than chosen by the player
+    setPivot(index, auto = false) {
+        if (this.isComplete || this.state.phase !== 'pivot') return;
+        const { scheme, pivotRule, range } = this.state;
+        // Lomuto keeps the pivot at the right end, Hoare at the left end
+        const home = scheme === 'lomuto' ? range.hi : range.lo;
+
+        if (!this.tryMove({ type: 'pivot', index, auto })) {
+            if (pivotRule === 'median') {
+                const values = this.engine.candidates(this.state).map(k => formatValue(this.array[k])).join(t('sep.list'));
+                return this.pulseError(t('quick.wrongMedian', { values, value: formatValue(this.array[this.engine.median(this.state)]) }), [index]);
+            }
+            return this.pulseError(t('quick.wrongRule', { rule: t(pivotRule === 'first' ? 'quick.ruleFirst' : 'quick.ruleLast') }), [index]);
+        }
+
+        const note = index !== home ? t(scheme === 'lomuto' ? 'quick.moveRight' : 'quick.moveLeft') : '';
+        this.createControls();
+        this.updateState(t('quick.pivotChosen', { value: formatValue(this.state.pivotVal), note }));
+    }
+
+    createControls() {
+        const buttons = {
+            scan: [['swap', 'btn-danger', 'quick.btnSwapScan'], ['skip', 'btn-primary', 'quick.btnSkip']],
+            scanI: [['advance', 'btn-primary', 'quick.btnAdvanceRight'], ['stop', 'btn-danger', 'quick.btnStop']],
+            scanJ: [['advance', 'btn-primary', 'quick.btnAdvanceLeft'], ['stop', 'btn-danger', 'quick.btnStop']],
+            decide: [['swap', 'btn-danger', 'quick.btnSwapIJ'], ['done', 'btn-success', 'quick.btnDone']]
+        }[this.isComplete ? null : this.state.phase] || [];
+        ui.controls.innerHTML = buttons
+            .map(([action, cls, label]) => `<button class="btn ${cls}" onclick="App.gameInstance.handleAction('${action}')">${t(label)}</button>`)
+            .join('');
+    }
+
+    // Index of the element the current move is about
+    focusIndex() {
+        const { phase, i, j } = this.state;
+        if (phase === 'scan' || phase === 'scanJ') return j;
+        if (phase === 'scanI') return i;
+        return -1;
+    }
+
+    updateState(prefix = '') {
+        if (this.isComplete) return;
+        this.render();
+        const { phase, i, j, range } = this.state;
+        const pivot = formatValue(this.state.pivotVal);
+
+        if (phase === 'scan') {
+            const val = formatValue(this.array[j]);
+            this.setMessage(t('quick.promptScan', { prefix, value: val, pivot }));
+        } else if (phase === 'place') {
+            this.setMessage(t('quick.promptPlace', { prefix, pivot }));
+            for (let k = range.lo; k <= range.hi; k++) {
+                const card = document.getElementById(`card-${k}`);
+                if (card) {
+                    card.classList.add('clickable');
+                    setAction(card, () => this.handlePlace(k));
+                }
+            }
+        } else if (phase === 'scanI') {
+            this.setMessage(t('quick.promptScanI', { prefix, value: formatValue(this.array[i]), pivot }));
+        } else if (phase === 'scanJ') {
+            this.setMessage(t('quick.promptScanJ', { prefix, value: formatValue(this.array[j]), pivot }));
+        } else if (phase === 'decide') {
+            this.setMessage(t('quick.promptDecide', { prefix, a: formatValue(this.array[i]), b: formatValue(this.array[j]) }));
+        }
+    }
+
+    handleAction(action) {
+        if (this.isComplete) return;
+        const expected = this.expectedMove();
+        if (!expected || expected.type === 'pivot' || expected.type === 'place') return;
+
+        const { phase, i, j, range } = this.state;
+        if (!this.tryMove({ type: action })) {
+            const hints = {
+                scan: expected.type === 'swap' ? 'quick.hintScanSwap' : 'quick.hintScanSkip',
+                scanI: expected.type === 'advance' ? 'quick.hintScanIAdvance' : 'quick.hintScanIStop',
+                scanJ: expected.type === 'advance' ? 'quick.hintScanJAdvance' : 'quick.hintScanJStop',
+                decide: expected.type === 'swap' ? 'quick.hintDecideSwap' : 'quick.hintDecideDone'
+            };
+            const hint = t(hints[phase], { value: formatValue(this.array[this.focusIndex()]) });
+            const focus = phase === 'decide' ? [i, j] : [this.focusIndex()];
+            return this.pulseError(t('quick.wrong', { hint }), focus);
+        }
+
+        if (action === 'done') {
+            this.setMessage(t('quick.partitioned', { lo: range.lo, mid: j, next: j + 1, hi: range.hi }), 'success');
+            ui.controls.innerHTML = '';
+            this.render();
+            this.schedule(() => this.promptRange(), this.stepDelay);
+            return;
+        }
+
+        this.createControls();
+        this.updateState('✅ ');
+    }
+
+    handlePlace(index) {
+        if (this.isComplete || this.state.phase !== 'place') return;
+        const pivot = formatValue(this.state.pivotVal);
+        if (!this.tryMove({ type: 'place', index })) return this.pulseError(t('quick.wrongPlace'), [index]);
+
+        this.render();
+        this.setMessage(t('quick.placed', { pivot }), 'success');
+        this.schedule(() => this.promptRange(), this.stepDelay);
+    }
+
+    pulseError(msg, indices) {
+        this.setMessage(msg, 'error');
+        const cards = indices.map(k => document.getElementById(`card-${k}`)).filter(Boolean);
+        cards.forEach(c => c.classList.add('shake'));
+        setTimeout(() => cards.forEach(c => c.classList.remove('shake')), 500);
+    }
+
+    render() {
+        super.render();
+        const { finalized, range, phase, pivotIndex, i, j } = this.state;
+        this.array.forEach((_, k) => {
+            const card = document.getElementById(`card-${k}`);
+            if (!card) return;
+            if (finalized.includes(k) || this.isComplete) card.classList.add('sorted');
+            else if (range && (k < range.lo || k > range.hi)) card.classList.add('inactive');
+        });
+        if (!range || this.isComplete || phase === 'pivot') return;
 
-        let unsortedStart, unsortedEnd;
-        if (this.convergence === 'left') {
-            unsortedStart = this.currentIndex + 1;
-            unsortedEnd = this.array.length - 1;
-            // Append SortedArea then Selected then Unsorted
-            ui.board.appendChild(selectedContainer);
-            const unsortedArea = document.createElement('div');
-            unsortedArea.style.display = 'flex'; unsortedArea.style.gap = '5px';
-            for (let i = unsortedStart; i <= unsortedEnd; i++) {
-                unsortedArea.appendChild(this.createCardElement(this.array[i], i));
-            }
-            ui.board.appendChild(unsortedArea);
+        const pivotCard = document.getElementById(`card-${pivotIndex}`);
+        if (pivotCard) pivotCard.classList.add('pivot');
 
-        } else {
-            unsortedStart = 0;
-            unsortedEnd = this.currentIndex - 1;
-
-            // Order: Unsorted -> Selected -> SortedArea
-            // Clean ui.board first actually, the logic above appended sortArea first.
-            // Let's restructure.
-            ui.board.innerHTML = '';
-
-            const unsortedArea = document.createElement('div');
-            unsortedArea.style.display = 'flex'; unsortedArea.style.gap = '5px';
-            for (let i = unsortedStart; i <= unsortedEnd; i++) {
-                unsortedArea.appendChild(this.createCardElement(this.array[i], i));
-            }
-            ui.board.appendChild(unsortedArea);
+        const focused = phase === 'decide' ? [i, j] : [this.focusIndex()];
+        focused.forEach(k => {
+            const card = document.getElementById(`card-${k}`);
+            if (card) card.classList.add('comparing');
+        });
 
-            ui.board.appendChild(selectedContainer);
-            ui.board.appendChild(sortArea); // The sorted area we built earlier
-        }
+        // Pointer labels under the cards
+        const tags = {};
+        const addTag = (k, label) => { (tags[k] = tags[k] || []).push(label); };
+        if (i >= range.lo) addTag(i, 'i');
+        if (phase !== 'place' && j <= range.hi) addTag(j, 'j');
+        Object.entries(tags).forEach(([k, labels]) => {
+            const card = document.getElementById(`card-${k}`);
+            if (!card) return;
+            const tag = document.createElement('span');
+            tag.className = 'pointer-tag';
+            tag.innerText = labels.join(' ');
+            card.appendChild(tag);
+        });
     }
+}
 
-    createSlot(container, insertIndex) {
-        const slot = document.createElement('div');
-        slot.className = 'slot active';
-        slot.style.width = '20px'; // Ensure visibility
-        slot.onclick = () => this.handleInsert(insertIndex);
-        container.appendChild(slot);
+// --- Heap Sort Implementation ---
+class HeapSortGame extends SortGame {
+    constructor() {
+        super('heap', SortEngine.heap);
+        // state.heapSize: indices [heapSize ... n-1] are sorted
+        // state.phase: 'build' | 'sift' | 'extract'; state.siftNode: node being sifted down
     }
 
-    createCardElement(num, index, isSorted = false) {
-        const div = super.createCardElement(num, index);
-        if (isSorted) div.classList.add('sorted');
-        return div;
+    // Ascending order builds a max-heap, descending a min-heap
+    heapLabel() {
+        return t(this.sortOrder === 'asc' ? 'heap.max' : 'heap.min');
     }
 
-    handleInsert(slotIndex) {
-        // Validation Logic
-        // We are inserting this.currentVal into a sorted array.
-        // We must ensure that the element at slotIndex-1 (if exists) < currentVal
-        // AND element at slotIndex (if exists) > currentVal.
-        // (Assuming Asc order)
-        // Generalized: shoudPrecede(prev, current) && shouldPrecede(current, next)
-
-        // Find adjacent values in the current array state (conceptually)
-        // Note: slotIndex refers to the position *in the original array indices*.
-        // But since we are visualizing a subset (the sorted region), it maps directly.
-        // E.g. Sorted region indices [0, 1, 2]. Slot 1 is between 0 and 1.
+    stepKind() {
+        return { build: 'heap.kindBuild', sift: 'heap.kindSift', extract: 'heap.kindExtract' }[this.state.phase];
+    }
 
-        // However, 'slotIndex' passed from createSlot() is the raw index where we propose to insert.
-        // Let's look at neighboring val usage.
+    performMove(move) {
+        if (move.type === 'stay') this.handleNoSwap();
+        else this.handleNodeClick(move.index);
+    }
 
-        // Need to check neighbors WITHIN the sorted region.
-        // Neighbor Left: array[slotIndex - 1] (if slotIndex-1 is inside sorted region)
-        // Neighbor Right: array[slotIndex] (if slotIndex is inside sorted region)
+    startLogic() {
+        this.prompt();
+    }
 
-        let valid = true;
+    prompt() {
+        if (this.isComplete) {
+            this.render();
+            this.playSuccess();
+            return;
+        }
+        if (this.state.phase === 'extract') this.promptExtract();
+        else this.promptSift();
+    }
 
-        // Check Preceding neighbor (index = slotIndex - 1)
-        // It must exist and be part of the sorted set.
-        // In Left Conv: sorted is [0...boundary]. If slotIndex > 0, neighbor is slotIndex-1.
-        // In Right Conv: sorted is [boundary...n-1]. If slotIndex > boundary, neighbor is slotIndex-1.
+    promptSift() {
+        const { siftNode, phase } = this.state;
+        this.createControls();
+        this.render();
+        const children = this.engine.children(this.state, siftNode).map(c => formatValue(this.array[c])).join(t('sep.list'));
+        const stage = t(phase === 'build' ? 'heap.build' : 'heap.sift');
+        this.setMessage(t('heap.promptSift', { stage, heap: this.heapLabel(), value: formatValue(this.array[siftNode]), children }));
+    }
 
-        let prevIndex = slotIndex - 1;
-        let nextIndex = slotIndex;
+    promptExtract() {
+        ui.controls.innerHTML = '';
+        this.render();
+        this.setMessage(t('heap.promptExtract', { value: formatValue(this.array[0]) }));
+    }
 
-        // Check Prev
-        // Condition: if prev exists in sorted region, then shouldPrecede(arr[prev], current) must be true.
-        // If equal? Insert Sort is stable, usually insert *after* equal elements (from right pick) or *after* (from left pick)?
-        // Picked from Right (currentIndex > sorted). Moving Left. Insert after equal?
-        // Let's stick to strict inequality for automated checks or allow flexibility?
-        // Simplest: Loop through sorted region, find the first place where element > currentVal.
+    createControls() {
+        ui.controls.innerHTML = `
+            <button class="btn btn-primary" data-key="n" aria-keyshortcuts="N" onclick="App.gameInstance.handleNoSwap()">${t('heap.btnStay')} <kbd>N</kbd></button>
+        `;
+    }
 
-        let correctSlot = -1;
+    handleNodeClick(index) {
+        if (this.isComplete) return;
+        if (this.state.phase === 'extract') return this.handleExtract(index);
 
-        if (this.convergence === 'left') {
-            // Region [0 ... boundary]
-            // We want to find index k such that all elements before k are <= current (Asc)
-            // and all elements at k and after are > current.
-            // i.e. First element where shouldPrecede(current, element) is true.
-
-            // Loop i from 0 to boundary
-            correctSlot = this.boundary + 1; // Default: end of region
-            for (let i = 0; i <= this.boundary; i++) {
-                // If current should precede array[i]
-                if (this.shouldPrecede(this.currentVal, this.array[i])) {
-                    correctSlot = i;
-                    break;
-                }
-            }
-        } else {
-            // Region [boundary ... n-1]
-            // We want index k.
-            // Loop i from boundary to n-1. 
-            // Same logic? First element where current should precede it?
+        const { siftNode } = this.state;
+        if (!this.engine.children(this.state, siftNode).includes(index)) return;
 
-            correctSlot = this.array.length; // Default: after last element (n)
+        const target = this.engine.target(this.state, siftNode);
+        if (!this.tryMove({ type: 'swap', index })) {
+            if (target === siftNode) return this.pulseError(t('heap.wrongStay', { value: formatValue(this.array[siftNode]) }), [siftNode, index]);
+            return this.pulseError(t('heap.wrongChild', { value: formatValue(this.array[target]) }), [index, target]);
+        }
 
-            // But wait, slots start at 'boundary'.
-            // if boundary=3, sorted indices 3,4.
-            // Slots: 3 (before 3), 4 (before 4), 5 (after 4).
+        this.render();
+        this.flash([siftNode, index]);
+        ui.controls.innerHTML = '';
+        this.schedule(() => this.prompt(), this.stepDelay);
+    }
 
-            for (let i = this.boundary; i < this.array.length; i++) {
-                if (this.shouldPrecede(this.currentVal, this.array[i])) {
-                    correctSlot = i;
-                    break;
-                }
-            }
+    handleNoSwap() {
+        if (this.isComplete || this.state.siftNode < 0) return;
+        const { siftNode } = this.state;
+        if (!this.tryMove({ type: 'stay' })) {
+            const target = this.engine.target(this.state, siftNode);
+            return this.pulseError(t('heap.mustSwap', { value: formatValue(this.array[target]) }), [siftNode, target]);
         }
 
-        if (slotIndex === correctSlot) {
-            this.setMessage("✅ 正確！插入成功", 'success');
+        this.setMessage(t('heap.stayed'), 'success');
+        ui.controls.innerHTML = '';
+        this.schedule(() => this.prompt(), this.stepDelay);
+    }
 
-            // Update Array
-            // Use local variable for splice to avoid confusion
-            const val = this.array[this.currentIndex];
-            this.array.splice(this.currentIndex, 1); // Remove current
+    handleExtract(index) {
+        const last = this.state.heapSize - 1;
+        if (!this.tryMove({ type: 'extract', index })) return this.pulseError(t('heap.wrongExtract'), [index]);
 
-            // Adjust insertion index if necessary
-            // If we are inserting to the right of where we removed, the target index has shifted left by 1.
-            let insertAt = slotIndex;
-            if (slotIndex > this.currentIndex) {
-                insertAt--;
-            }
+        this.render();
+        this.flash([0, last]);
+        this.setMessage(t('heap.extracted', { value: formatValue(this.array[last]) }), 'success');
+        this.schedule(() => this.prompt(), this.stepDelay);
+    }
 
-            this.array.splice(insertAt, 0, val);
+    flash(indices) {
+        indices.forEach(k => {
+            const card = document.getElementById(`card-${k}`);
+            const node = document.getElementById(`node-${k}`);
+            if (card) card.classList.add('flash');
+            if (node) node.classList.add('flash');
+        });
+    }
 
-            if (this.convergence === 'left') {
-                this.boundary++;
-            } else {
-                this.boundary--;
-            }
+    pulseError(msg, indices) {
+        this.setMessage(msg, 'error');
+        const els = [];
+        indices.forEach(k => {
+            els.push(document.getElementById(`card-${k}`), document.getElementById(`node-${k}`));
+        });
+        const shaking = els.filter(Boolean);
+        shaking.forEach(el => el.classList.add('shake'));
+        setTimeout(() => shaking.forEach(el => el.classList.remove('shake')), 500);
+    }
 
-            this.render();
+    // Applies state classes and click handlers shared by cards and tree nodes
+    decorate(el, index) {
+        const { heapSize, siftNode, phase } = this.state;
+        if (index >= heapSize) {
+            el.classList.add('sorted');
+            return;
+        }
+        if (this.isComplete) return;
+        if (phase === 'extract') {
+            if (index === 0) el.classList.add('selected');
+            el.classList.add('clickable');
+            setAction(el, () => this.handleNodeClick(index));
+            return;
+        }
+        if (index === siftNode) el.classList.add('selected');
+        if (this.engine.children(this.state, siftNode).includes(index)) {
+            el.classList.add('comparing', 'clickable');
+            setAction(el, () => this.handleNodeClick(index));
+        }
+    }
 
-            // Mark sorted
-            if (this.convergence === 'left') {
-                for (let i = 0; i <= this.boundary; i++) document.getElementById(`card-${i}`).classList.add('sorted');
-            } else {
-                for (let i = this.boundary; i < this.array.length; i++) document.getElementById(`card-${i}`).classList.add('sorted');
-            }
+    render() {
+        ui.board.innerHTML = '';
+        const layout = document.createElement('div');
+        layout.className = 'heap-layout';
+        ui.board.appendChild(layout);
 
-            setTimeout(() => this.promptPick(), this.stepDelay);
-        } else {
-            this.setMessage(`❌ 錯誤！${this.currentVal} 不應該放在這裡`, 'error');
-            // Shake board or sortArea
-            const container = ui.board.querySelector('div'); // heuristic
-            if (container) {
-                container.classList.add('shake');
-                setTimeout(() => container.classList.remove('shake'), 500);
-            }
+        const row = document.createElement('div');
+        row.className = 'heap-row';
+        this.array.forEach((num, index) => {
+            const card = this.createCardElement(num, index);
+            this.decorate(card, index);
+            row.appendChild(card);
+        });
+        layout.appendChild(row);
+        layout.appendChild(this.createTree());
+    }
+
+    createTree() {
+        const n = this.array.length;
+        const levels = Math.floor(Math.log2(n)) + 1;
+        const levelHeight = 70;
+        const tree = document.createElement('div');
+        tree.className = 'heap-tree';
+        tree.style.height = `${levels * levelHeight}px`;
+
+        const position = index => {
+            const depth = Math.floor(Math.log2(index + 1));
+            const offset = index - (2 ** depth - 1);
+            return { x: ((offset + 0.5) / 2 ** depth) * 100, y: depth * levelHeight + levelHeight / 2 };
+        };
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'heap-edges');
+        for (let index = 1; index < n; index++) {
+            const from = position(Math.floor((index - 1) / 2));
+            const to = position(index);
+            const line = document.createElementNS(svgNS, 'line');
+            line.setAttribute('x1', `${from.x}%`);
+            line.setAttribute('y1', from.y);
+            line.setAttribute('x2', `${to.x}%`);
+            line.setAttribute('y2', to.y);
+            // Edges into the sorted region are no longer part of the heap
+            if (index >= this.state.heapSize) line.setAttribute('class', 'detached');
+            svg.appendChild(line);
         }
+        tree.appendChild(svg);
+
+        this.array.forEach((num, index) => {
+            const { x, y } = position(index);
+            const node = document.createElement('div');
+            node.className = 'tree-node';
+            node.id = `node-${index}`;
+            renderValue(node, num);
+            node.style.left = `${x}%`;
+            node.style.top = `${y}px`;
+            this.decorate(node, index);
+            tree.appendChild(node);
+        });
+        return tree;
     }
 }
 
-// --- Selection Sort Implementation ---
-class SelectionSortGame extends SortGame {
+// --- Shell Sort Implementation ---
+class ShellSortGame extends SortGame {
     constructor() {
-        super("選擇排序 (Selection Sort)");
-        this.sortedIndex = 0;
+        super('shell', SortEngine.shell);
+        // state.i: element being inserted into its h-sorted chain; state.j: its position, compared with j - gap
     }
 
-    init() {
-        super.init();
-        if (this.convergence === 'left') {
-            this.sortedIndex = 0;
-        } else {
-            this.sortedIndex = this.array.length - 1;
-        }
-        // Always render after updating state to ensure clean board
+    engineOptions() {
+        const gapSelect = document.getElementById('select-gaps');
+        return Object.assign(super.engineOptions(), { gapSequence: gapSelect ? gapSelect.value : 'shell' });
+    }
+
+    get gap() {
+        return this.engine.gap(this.state);
+    }
+
+    stepKind() {
+        return { key: 'shell.kind', params: { gap: this.gap } };
+    }
+
+    performMove(move) {
+        this.handleAction(move.type);
+    }
+
+    startLogic() {
+        if (this.isComplete) return this.playSuccess();
+        this.createControls();
+        this.announceGap();
+    }
+
+    announceGap() {
+        this.updateState(t('shell.gap', { gap: this.gap, gaps: this.state.gaps.join(', ') }));
+    }
+
+    createControls() {
+        ui.controls.innerHTML = `
+            <button class="btn btn-danger" data-key="s" aria-keyshortcuts="S" onclick="App.gameInstance.handleAction('swap')">${t('btn.swap')} <kbd>S</kbd></button>
+            <button class="btn btn-primary" data-key="n" aria-keyshortcuts="N" onclick="App.gameInstance.handleAction('next')">${t('btn.next')} <kbd>N</kbd></button>
+        `;
+    }
+
+    updateState(prefix = '') {
+        if (this.isComplete) return;
         this.render();
-        this.promptFindTarget();
+        const a = formatValue(this.array[this.state.j - this.gap]);
+        const b = formatValue(this.array[this.state.j]);
+        this.setMessage(t('shell.prompt', { prefix, gap: this.gap, a, b }));
     }
 
-    promptFindTarget() {
-        // Check completion
-        let completed = false;
-        if (this.convergence === 'left') {
-            if (this.sortedIndex >= this.array.length - 1) completed = true;
-        } else {
-            if (this.sortedIndex <= 0) completed = true;
+    handleAction(action) {
+        if (this.isComplete) return;
+        const idx1 = this.state.j - this.gap;
+        const idx2 = this.state.j;
+        const gapIndex = this.state.gapIndex;
+
+        if (!this.tryMove({ type: action })) {
+            if (action === 'swap') return this.pulseError(t('error.noSwap'));
+            return this.pulseError(t('error.mustSwap'));
         }
 
-        if (completed) {
-            this.isComplete = true;
-            this.render();
-            // Just ensure everything is marked sorted
-            document.querySelectorAll('.card').forEach(c => c.classList.add('sorted'));
+        this.render();
+        [idx1, idx2].forEach(k => {
+            const card = document.getElementById(`card-${k}`);
+            if (card) card.classList.add('flash');
+        });
+        this.schedule(() => this.nextStep(gapIndex), this.stepDelay);
+    }
+
+    nextStep(previousGapIndex) {
+        if (this.isComplete) {
             this.playSuccess();
             return;
         }
+        if (this.state.gapIndex !== previousGapIndex) this.announceGap();
+        else this.updateState();
+    }
 
-        // Determine range and label
-        let start, end, labelType;
-        if (this.convergence === 'left') {
-            // Find "First" (Min if Asc) in [sortedIndex ... n-1]
-            start = this.sortedIndex;
-            end = this.array.length - 1;
-            // Asc: Find Min. Desc: Find Max.
-            labelType = (this.sortOrder === 'asc') ? '最小值' : '最大值';
-        } else {
-            // Find "Last" (Max if Asc) in [0 ... sortedIndex]
-            start = 0;
-            end = this.sortedIndex;
-            // Asc ([Small ... Large]): We want Max at right.
-            // Desc ([Large ... Small]): We want Min at right.
-            labelType = (this.sortOrder === 'asc') ? '最大值' : '最小值';
-        }
+    pulseError(msg) {
+        this.setMessage(msg, 'error');
+        [this.state.j - this.gap, this.state.j].forEach(k => {
+            const card = document.getElementById(`card-${k}`);
+            if (!card) return;
+            card.classList.add('shake');
+            setTimeout(() => card.classList.remove('shake'), 500);
+        });
+    }
 
-        this.setMessage(`🔍 回合 ${this.convergence === 'left' ? this.sortedIndex + 1 : this.array.length - this.sortedIndex}: 請找出未排序區域（白色卡片）中的「${labelType}」`);
+    render() {
+        super.render();
+        if (this.isComplete) return;
+        // Highlight the h-sorted chain the current element belongs to
+        const { j } = this.state;
+        const chain = j % this.gap;
+        this.array.forEach((_, k) => {
+            const card = document.getElementById(`card-${k}`);
+            if (!card) return;
+            if (k % this.gap === chain) card.classList.add('chain');
+            if (k === j || k === j - this.gap) card.classList.add('comparing');
+        });
+    }
+}
 
-        // Make range clickable
-        for (let i = start; i <= end; i++) {
-            const card = document.getElementById(`card-${i}`);
-            if (card) {
-                card.classList.add('clickable');
-                card.onclick = () => this.handleSelection(i);
-            }
-        }
+// --- Bucket-based (Non-comparison) Sorts ---
+class BucketSortGame extends SortGame {
+    constructor(kind) {
+        super(kind, SortEngine.bucket);
+        this.kind = kind; // 'counting' | 'radix'
     }
 
-    handleSelection(index) {
-        document.querySelectorAll('.clickable').forEach(el => {
-            el.classList.remove('clickable');
-            el.onclick = null;
-        });
+    engineOptions() {
+        return Object.assign(super.engineOptions(), { kind: this.kind });
+    }
 
-        const pickedVal = this.array[index];
-        let correctIdx = -1;
-        let correctVal = null;
+    keyLabel() { return t('bucket.keyValue'); }
 
-        // Determine Correct Target
-        if (this.convergence === 'left') {
-            // Find element that should comes FIRST among unsorted
-            // i.e. element X such that shouldPrecede(X, Y) is true for all Y
-            let bestIdx = this.sortedIndex;
-            let bestVal = this.array[this.sortedIndex];
-
-            for (let i = this.sortedIndex + 1; i < this.array.length; i++) {
-                // If array[i] should precede bestVal, update
-                if (this.shouldPrecede(this.array[i], bestVal)) {
-                    bestVal = this.array[i];
-                    bestIdx = i;
-                }
-            }
-            correctIdx = bestIdx;
-            correctVal = bestVal;
+    stepKind() {
+        return this.state.phase === 'distribute' ? 'bucket.kindDrop' : 'bucket.kindCollect';
+    }
 
-        } else {
-            // Right Convergence
-            // Find element that should comes LAST among unsorted
-            // i.e. element X such that shouldPrecede(Y, X) is true for all Y
-            // Equivalent to finding "Max" if Asc, "Min" if Desc
-
-            let bestIdx = 0;
-            let bestVal = this.array[0];
-
-            for (let i = 1; i <= this.sortedIndex; i++) {
-                // We want the one that is "Greatest" (comes last)
-                // If shouldPrecede(bestVal, array[i]) is true, then array[i] comes after bestVal -> array[i] is new candidate
-                if (this.shouldPrecede(bestVal, this.array[i])) {
-                    bestVal = this.array[i];
-                    bestIdx = i;
-                }
-            }
-            correctIdx = bestIdx;
-            correctVal = bestVal;
-        }
+    performMove(move) {
+        this.handleBucket(move.bucket);
+    }
 
-        if (index === correctIdx) { // Compare indices to handle duplicate values deterministically
-            const card = document.getElementById(`card-${index}`);
-            card.classList.add('selected');
-            this.setMessage(`✅ 正確！目標是 ${correctVal}，正在交換...`, 'success');
+    startLogic() {
+        this.prompt();
+    }
 
-            setTimeout(() => {
-                // Swap with sortedIndex
-                [this.array[this.sortedIndex], this.array[index]] = [this.array[index], this.array[this.sortedIndex]];
-                this.render();
+    prompt() {
+        if (this.isComplete) {
+            this.render();
+            this.playSuccess();
+            return;
+        }
+        if (this.state.phase === 'distribute') this.promptDistribute();
+        else this.promptCollect();
+    }
 
-                // Mark sorted regions
-                if (this.convergence === 'left') {
-                    this.sortedIndex++;
-                } else {
-                    this.sortedIndex--;
-                }
-                this.render(); // Re-render to update sorted classes logic in main loop?
-                // Actually render() calls super.render() which is empty-ish loop wise.
-                // We need custom render logic or just rely on next prompt to set classes?
-                // Let's simplify: render() just draws numbers. We add 'sorted' manually?
-                // Better: Update render() in SortGame or override here?
-                // Override here is safest.
+    promptDistribute() {
+        const { passCount, passIndex, cursor } = this.state;
+        this.render();
+        const pass = passCount > 1 ? t('bucket.pass', { pass: passIndex + 1 }) : '';
+        this.setMessage(t('bucket.promptDrop', { pass, value: formatValue(this.array[cursor]), key: this.keyLabel() }));
+    }
 
-                setTimeout(() => this.promptFindTarget(), this.stepDelay);
-            }, 800);
+    promptCollect() {
+        this.render();
+        const direction = t(this.sortOrder === 'asc' ? 'bucket.asc' : 'bucket.desc');
+        this.setMessage(t('bucket.promptCollect', { direction }));
+    }
 
-        } else {
-            // Find the actual correct value for the error message
-            // Wait, I already calculated correctVal.
-            // But if user picked a duplicate that IS valid ... indices might differ.
-            // Wait. If values are same, it is technically correct.
-            // My check `index === correctIdx` enforces stability/specific instance.
-            // Let's relax: if `pickedVal === correctVal` -> Correct.
-
-            if (pickedVal === correctVal) {
-                // Allow it. Recalculate swapping logic if needed using `index`.
-                // It works fine.
-                const card = document.getElementById(`card-${index}`);
-                card.classList.add('selected');
-                this.setMessage(`✅ 正確！目標是 ${correctVal}，正在交換...`, 'success');
-
-                setTimeout(() => {
-                    [this.array[this.sortedIndex], this.array[index]] = [this.array[index], this.array[this.sortedIndex]];
-                    this.render();
-                    if (this.convergence === 'left') this.sortedIndex++;
-                    else this.sortedIndex--;
-                    setTimeout(() => this.promptFindTarget(), this.stepDelay);
-                }, 800);
+    handleCardPick(index) {
+        const { phase, cursor } = this.state;
+        if (this.isComplete || phase !== 'distribute' || index === cursor) return;
+        this.recordAttempt({ type: 'drop', card: index }, false);
+        this.pulseError(t('bucket.wrongCard', { value: formatValue(this.array[cursor]) }), [`card-${index}`]);
+    }
 
-            } else {
-                this.setMessage(`❌ 錯誤！${pickedVal} 不是目標 (目標是 ${correctVal})`, 'error');
-                const card = document.getElementById(`card-${index}`);
-                card.classList.add('shake');
-                setTimeout(() => {
-                    card.classList.remove('shake');
-                    this.promptFindTarget();
-                }, 500);
+    handleBucket(bucket) {
+        if (this.isComplete) return;
+        const { phase, passIndex, buckets } = this.state;
+
+        if (phase === 'distribute') {
+            const value = formatValue(this.array[this.state.cursor]);
+            if (!this.tryMove({ type: 'drop', bucket })) {
+                return this.pulseError(t('bucket.wrongBucket', { value, bucket }), [`bucket-${bucket}`]);
             }
+            return this.prompt();
         }
+
+        const expected = this.expectedMove().bucket;
+        if (!this.tryMove({ type: 'collect', bucket })) {
+            const reason = buckets[bucket].length ? t('bucket.collectFirst', { bucket: expected }) : t('bucket.empty');
+            return this.pulseError(t('bucket.wrongCollect', { reason }), [`bucket-${bucket}`]);
+        }
+
+        // Buckets are first-in first-out, so equal keys keep their order
+        if (this.state.passIndex === passIndex) return this.prompt();
+        if (this.isComplete) return this.prompt();
+
+        this.render();
+        this.setMessage(t('bucket.passDone', { pass: this.state.passIndex }), 'success');
+        this.schedule(() => this.prompt(), this.stepDelay);
+    }
+
+    pulseError(msg, ids) {
+        this.setMessage(msg, 'error');
+        const els = ids.map(id => document.getElementById(id)).filter(Boolean);
+        els.forEach(el => el.classList.add('shake'));
+        setTimeout(() => els.forEach(el => el.classList.remove('shake')), 500);
     }
 
     render() {
-        super.render();
-        if (this.convergence === 'left') {
-            for (let i = 0; i < this.sortedIndex; i++) {
-                const card = document.getElementById(`card-${i}`);
-                if (card) card.classList.add('sorted');
+        ui.board.innerHTML = '';
+        const layout = document.createElement('div');
+        layout.className = 'bucket-layout';
+        ui.board.appendChild(layout);
+
+        const { phase, cursor, output, buckets, collected } = this.state;
+        const row = document.createElement('div');
+        row.className = 'bucket-source';
+        const collecting = phase === 'collect' && !this.isComplete;
+        const values = collecting ? output : this.array;
+        values.forEach((num, index) => {
+            const card = this.createCardElement(num, index);
+            if (collecting || this.isComplete) {
+                card.classList.add('sorted');
+            } else if (index < cursor) {
+                card.classList.add('consumed');
+            } else {
+                if (index === cursor) card.classList.add('selected');
+                card.classList.add('clickable');
+                card.draggable = true;
+                card.ondragstart = e => e.dataTransfer.setData('text/plain', String(index));
+                setAction(card, () => this.handleCardPick(index));
             }
-        } else {
-            // Sorted is from sortedIndex + 1 to end
-            for (let i = this.array.length - 1; i > this.sortedIndex; i--) {
-                const card = document.getElementById(`card-${i}`);
-                if (card) card.classList.add('sorted');
+            row.appendChild(card);
+        });
+        layout.appendChild(row);
+
+        const shelf = document.createElement('div');
+        shelf.className = 'bucket-shelf';
+        buckets.forEach((items, b) => {
+            const bucket = document.createElement('div');
+            bucket.className = 'bucket';
+            bucket.id = `bucket-${b}`;
+            if (collected.includes(b)) bucket.classList.add('collected');
+            bucket.innerHTML = `<div class="bucket-label">${b}</div><div class="bucket-count">×${items.length}</div>`;
+            if (!collected.includes(b)) {
+                items.forEach((num, k) => {
+                    const card = this.createCardElement(num, k);
+                    card.removeAttribute('id');
+                    card.classList.add('mini');
+                    bucket.appendChild(card);
+                });
             }
-        }
+            setAction(bucket, () => this.handleBucket(b), t('bucket.label', { bucket: b, count: items.length }));
+            bucket.ondragover = e => e.preventDefault();
+            bucket.ondrop = e => {
+                e.preventDefault();
+                const index = parseInt(e.dataTransfer.getData('text/plain'));
+                if (index !== this.state.cursor) return this.handleCardPick(index);
+                this.handleBucket(b);
+            };
+            shelf.appendChild(bucket);
+        });
+        layout.appendChild(shelf);
+    }
+}
+
+// --- Counting Sort Implementation ---
+class CountingSortGame extends BucketSortGame {
+    constructor() {
+        super('counting');
+    }
+
+    // Counting sort suits a small key range: one bucket per value 0-9
+    generateRandomArray(size) {
+        return Array.from({ length: size }, () => Math.floor(this.random() * 10));
+    }
+
+    valueRange() {
+        return { min: 0, max: 9 };
+    }
+}
+
+// --- LSD Radix Sort Implementation ---
+class RadixSortGame extends BucketSortGame {
+    constructor() {
+        super('radix'); // Values are 1-99: ones digit, then tens digit
+    }
+
+    keyLabel() {
+        return t(this.state.passIndex === 0 ? 'bucket.keyOnes' : 'bucket.keyTens');
+    }
+
+    createCardElement(num, index) {
+        const div = super.createCardElement(num, index);
+        // Show two digits and emphasise the one this pass sorts by
+        const digits = String(SortEngine.keyOf(num)).padStart(2, '0').split('');
+        const keyPos = digits.length - 1 - this.state.passIndex;
+        div.innerHTML = digits
+            .map((d, k) => `<span class="${k === keyPos && !this.isComplete ? 'digit-key' : 'digit'}">${d}</span>`)
+            .join('');
+        renderTag(div, num);
+        return div;
     }
 }
 
 // Initial Listener
 ui.btnBack.addEventListener('click', backToMenu);
 
+// --- Demo Controls ---
+function toggleDemo() {
+    const game = App.gameInstance;
+    if (!game) return;
+    if (game.demoPlaying) game.pauseDemo();
+    else game.playDemo();
+}
+
+function stepDemo() {
+    if (App.gameInstance) App.gameInstance.stepDemo();
+}
+
+function requestHint() {
+    if (App.gameInstance) App.gameInstance.requestHint();
+}
+
+// The slider runs slow -> fast, so its value is inverted into a delay
+function setSpeed(value) {
+    const delay = 1600 - parseInt(value);
+    App.stepDelay = delay;
+    if (App.gameInstance) App.gameInstance.stepDelay = delay;
+    if (ui.speedLabel) ui.speedLabel.innerText = t('demo.speed', { seconds: (delay / 1000).toFixed(1) });
+}
+
+// Undo: Ctrl/Cmd+Z. Redo: Ctrl/Cmd+Y or Ctrl/Cmd+Shift+Z
+document.addEventListener('keydown', e => {
+    if (App.currentView !== 'game' || !App.gameInstance) return;
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.matches && e.target.matches('input, select, textarea')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        App.gameInstance.undo();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        App.gameInstance.redo();
+    }
+});
+
+// Keyboard play: Enter/Space activates board buttons, arrow keys move between them,
+// single-letter shortcuts press the control buttons that declare one (data-key)
+let lastFocusIndex = 0;
+document.addEventListener('keydown', e => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.matches && e.target.matches('input, select, textarea')) return;
+    if (!ui.results.hidden || !ui.leaderboard.hidden || !ui.quiz.hidden || !ui.passQuiz.hidden || !ui.leave.hidden) return;
+
+    if ((e.key === 'Enter' || e.key === ' ') && e.target.getAttribute && e.target.getAttribute('role') === 'button') {
+        e.preventDefault();
+        e.target.click();
+        return;
+    }
+
+    const step = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 }[e.key];
+    if (step) {
+        const scope = App.currentView === 'game' ? ui.board : views.menu;
+        const targets = [...scope.querySelectorAll('[role="button"]')];
+        if (!targets.length) return;
+        e.preventDefault();
+        const current = targets.indexOf(document.activeElement);
+        const next = current < 0
+            ? Math.min(lastFocusIndex, targets.length - 1)
+            : (current + step + targets.length) % targets.length;
+        lastFocusIndex = next;
+        targets[next].focus();
+        return;
+    }
+
+    if (App.currentView !== 'game' || e.key.length !== 1) return;
+    const shortcut = ui.controls.querySelector(`[data-key="${e.key.toLowerCase()}"]`);
+    if (shortcut && !shortcut.disabled) {
+        e.preventDefault();
+        shortcut.click();
+    }
+});
+
 // Make functions global
 window.startGame = startGame;
 window.backToMenu = backToMenu;
+window.answerLeave = answerLeave;
+window.showResults = showResults;
+window.closeResults = closeResults;
+window.toggleDemo = toggleDemo;
+window.stepDemo = stepDemo;
+window.requestHint = requestHint;
+window.setSpeed = setSpeed;
+window.shareGame = shareGame;
+window.setLanguage = setLanguage;
+window.setChallengeMode = setChallengeMode;
+window.showLeaderboard = showLeaderboard;
+window.closeLeaderboard = closeLeaderboard;
+window.clearLeaderboard = clearLeaderboard;
+window.showStabilityQuiz = showStabilityQuiz;
+window.checkStabilityQuiz = checkStabilityQuiz;
+window.closeStabilityQuiz = closeStabilityQuiz;
+window.showPassQuiz = showPassQuiz;
+window.newPassQuiz = newPassQuiz;
+window.closePassQuiz = closePassQuiz;
+window.checkPassQuiz = checkPassQuiz;
+window.resetPassAnswer = resetPassAnswer;
+window.setPassQuizPass = setPassQuizPass;
+window.typePassAnswer = typePassAnswer;
+window.loadAssignmentFile = loadAssignmentFile;
+window.startExercise = startExercise;
+window.continueAssignment = continueAssignment;
+window.nextExercise = nextExercise;
+window.exportAssignment = exportAssignment;
+window.endAssignment = endAssignment;
+window.resumeSavedGame = resumeSavedGame;
+window.clearSavedGame = clearSavedGame;
+
+initLanguage();
+App.assignment = loadAssignment();
+window.addEventListener('popstate', followRoute);
+loadFromUrl();
+updateAssignmentPanel();